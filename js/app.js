@@ -5,10 +5,20 @@ import { AudioManager } from './audio-manager.js';
 import { SocketManager } from './socket-manager.js';
 import { GameEngine } from './game-engine.js';
 import { OfflineManager } from './offline-manager.js';
-import { CONFIG, GAME_STATES } from './config.js';
+import { GameReplay } from './game-replay.js';
+import { JackpotLedger } from './jackpot-ledger.js';
+import { DECK_FORMATS, getDeckFormat } from './deck-format.js';
+import { PrintSheet } from './print-sheet.js';
+import { MockApi } from './mock-api.js';
+import { CONFIG, GAME_STATES, SUCCESS_MESSAGES, ERROR_MESSAGES, BINGO_VARIANTS } from './config.js';
 
 class BingoApp {
     constructor() {
+        // Serve API requests locally when there is no server
+        if (CONFIG.MOCK_API.ENABLED) {
+            new MockApi().install();
+        }
+        
         // Initialize managers
         this.uiManager = new UIManager();
         this.cardManager = new CardManager();
@@ -16,6 +26,8 @@ class BingoApp {
         this.socketManager = new SocketManager();
         this.gameEngine = new GameEngine();
         this.offlineManager = new OfflineManager();
+        this.jackpotLedger = new JackpotLedger(this.offlineManager);
+        this.printSheet = new PrintSheet(this.cardManager, this.uiManager);
         
         // Application state
         this.state = {
@@ -26,9 +38,24 @@ class BingoApp {
             gameData: null,
             isOnline: navigator.onLine,
             theme: CONFIG.DEFAULT_THEME,
-            soundEnabled: CONFIG.AUDIO_ENABLED
+            soundEnabled: CONFIG.AUDIO_ENABLED,
+            daubMode: CONFIG.DAUB.DEFAULT_MODE,
+            variant: CONFIG.DEFAULT_VARIANT,
+            deck: null, // Fingerprint of the deck card numbers refer to
+            printedGameId: null, // Game id printed on card sheets, used by the next game
+            compareCards: [] // Cards queued for the comparison view, in the order they were added
         };
         
+        // Game clock display timer
+        this.gameClockTimer = null;
+        
+        // Card reservation countdown and renewal timers (running while selecting cards)
+        this.reservationTimer = null;
+        this.reservationRenewTimer = null;
+        
+        // Active replay of an exported game
+        this.replay = null;
+        
         // Initialize Telegram Web App
         this.tg = window.Telegram.WebApp;
         
@@ -41,6 +68,8 @@ class BingoApp {
         this.handleSearch = this.handleSearch.bind(this);
         this.handleThemeToggle = this.handleThemeToggle.bind(this);
         this.handleSoundToggle = this.handleSoundToggle.bind(this);
+        this.handlePauseToggle = this.handlePauseToggle.bind(this);
+        this.handleCallBingo = this.handleCallBingo.bind(this);
         
         // Initialize service worker
         this.registerServiceWorker();
@@ -63,12 +92,16 @@ class BingoApp {
             
             // Initialize card grid
             await this.initCardGrid();
+            await this.checkDeck();
+            this.openLinkedCard();
             
             // Check online status
             this.initOnlineStatus();
             
             // Set up event listeners
             this.setupEventListeners();
+            this.setupGameEngineListeners();
+            this.setupCardUpdates();
             
             // Initialize game if returning player
             await this.checkExistingGame();
@@ -99,6 +132,7 @@ class BingoApp {
             // Update UI with user info
             if (this.state.userData) {
                 this.uiManager.updateUserInfo(this.state.userData);
+                this.cardManager.setPlayerId(this.state.userData.id);
             }
             
             // Handle back button
@@ -117,18 +151,24 @@ class BingoApp {
         try {
             // Show loading state
             this.uiManager.showLoading('Loading available cards...');
+            this.gameEngine.stateMachine.tryTransition(GAME_STATES.SELECTING_CARDS);
             
             // Get available cards from server or local cache
             const availableCards = await this.cardManager.getAvailableCards();
             this.state.availableCards = new Set(availableCards);
+            const reservedCards = await this.cardManager.getReservedCards();
             
             // Generate card grid
             this.uiManager.generateCardGrid(
                 CONFIG.MAX_CARDS,
                 this.state.availableCards,
                 this.handleCardClick,
-                this.handleCardPreview
+                this.handleCardPreview,
+                (cardNumber) => this.handleCardCompare(cardNumber),
+                reservedCards
             );
+            this.uiManager.updateCompareCards(this.state.compareCards);
+            this.startReservationTimer();
             
             // Update stats
             this.uiManager.updateStats({
@@ -154,6 +194,8 @@ class BingoApp {
             // Remove from selection
             this.state.selectedCards.delete(cardNumber);
             this.uiManager.updateCardSelection(cardNumber, false);
+            this.cardManager.releaseCards([cardNumber]);
+            this.uiManager.updateReservationCountdowns(this.cardManager.reservations);
             this.audioManager.play('button-click');
         } else {
             // Check max selection limit
@@ -165,19 +207,338 @@ class BingoApp {
                 return;
             }
             
-            // Add to selection
+            if (this.cardManager.isReservedByOther(cardNumber)) {
+                this.uiManager.showToast(ERROR_MESSAGES.CARD_RESERVED, 'error');
+                return;
+            }
+            
+            // Add to selection and hold the card while we keep selecting
             this.state.selectedCards.add(cardNumber);
             this.uiManager.updateCardSelection(cardNumber, true);
+            this.reserveCards([cardNumber]);
             this.audioManager.play('card-select');
         }
         
         // Update selection count
         this.uiManager.updateSelectionCount(this.state.selectedCards.size);
+        this.updateCoverage();
         
         // Save selection
         this.saveSelection();
     }
     
+    // Show the coverage score of the current selection
+    updateCoverage() {
+        this.uiManager.updateCoverage(this.cardManager.getCoverage(this.state.selectedCards));
+    }
+    
+    // Replace the selection with a set of cards
+    applySelection(cardNumbers) {
+        const previous = this.state.selectedCards;
+        previous.forEach(cardNumber => {
+            this.uiManager.updateCardSelection(cardNumber, false);
+        });
+        this.state.selectedCards = new Set(cardNumbers);
+        this.state.selectedCards.forEach(cardNumber => {
+            this.uiManager.updateCardSelection(cardNumber, true);
+        });
+        
+        // Move holds to the new cards
+        this.cardManager.releaseCards([...previous].filter(cardNumber => !this.state.selectedCards.has(cardNumber)));
+        this.reserveCards([...this.state.selectedCards].filter(cardNumber => !previous.has(cardNumber)));
+        
+        this.uiManager.updateSelectionCount(this.state.selectedCards.size);
+        this.updateCoverage();
+        this.saveSelection();
+        this.audioManager.play('card-select');
+    }
+    
+    // Take cards out of the selection after their holds were lost
+    dropFromSelection(cardNumbers) {
+        cardNumbers.forEach(cardNumber => {
+            this.state.selectedCards.delete(cardNumber);
+            this.uiManager.updateCardSelection(cardNumber, false);
+        });
+        
+        this.uiManager.updateSelectionCount(this.state.selectedCards.size);
+        this.updateCoverage();
+        this.saveSelection();
+    }
+    
+    // Hold cards for this player; cards another player got first leave the selection
+    async reserveCards(cardNumbers) {
+        if (cardNumbers.length === 0) return;
+        
+        const { held, rejected } = await this.cardManager.reserveCards(cardNumbers);
+        
+        // Deselected while the request was out
+        const stale = held.filter(cardNumber => !this.state.selectedCards.has(cardNumber));
+        if (stale.length > 0) {
+            this.cardManager.releaseCards(stale);
+        }
+        
+        const lost = rejected.filter(cardNumber => this.state.selectedCards.has(cardNumber));
+        if (lost.length > 0) {
+            this.dropFromSelection(lost);
+            this.uiManager.showToast(
+                lost.length === 1 ? ERROR_MESSAGES.CARD_RESERVED : `Cards ${lost.join(', ')} are held by other players`,
+                'error'
+            );
+        }
+        
+        this.uiManager.updateReservedCards(this.cardManager.reservedCards);
+        this.uiManager.updateReservationCountdowns(this.cardManager.reservations);
+    }
+    
+    // Drop cards whose holds ran out and update the countdowns
+    updateReservations() {
+        const expiredHolds = this.cardManager.getExpiredReservations();
+        if (expiredHolds.length > 0) {
+            this.cardManager.releaseCards(expiredHolds); // In case the server's clock is behind
+        }
+        
+        const expired = expiredHolds.filter(cardNumber => this.state.selectedCards.has(cardNumber));
+        if (expired.length > 0) {
+            this.dropFromSelection(expired);
+            this.uiManager.showToast(
+                `Your hold on card${expired.length > 1 ? 's' : ''} ${expired.join(', ')} expired`,
+                'warning'
+            );
+        }
+        
+        this.uiManager.updateReservationCountdowns(this.cardManager.reservations);
+    }
+    
+    // Renew holds while the player is still selecting, and refresh other players' holds
+    async renewReservations() {
+        // A tab in the background lets its holds run out
+        if (document.visibilityState === 'hidden') return;
+        
+        this.updateReservations();
+        await this.reserveCards(Array.from(this.state.selectedCards));
+        this.uiManager.updateReservedCards(await this.cardManager.getReservedCards());
+    }
+    
+    // Start the reservation countdown and renewals
+    startReservationTimer() {
+        this.stopReservationTimer();
+        this.reservationTimer = setInterval(() => this.updateReservations(), 1000);
+        this.reservationRenewTimer = setInterval(() => this.renewReservations(), CONFIG.RESERVATION.RENEW_INTERVAL);
+    }
+    
+    // Stop the reservation countdown and renewals
+    stopReservationTimer() {
+        clearInterval(this.reservationTimer);
+        clearInterval(this.reservationRenewTimer);
+        this.reservationTimer = null;
+        this.reservationRenewTimer = null;
+    }
+    
+    // Listen for cards other players take or release, pushed over the socket
+    setupCardUpdates() {
+        this.socketManager.on('ui:card_taken', (data) => this.handleCardsTaken(data));
+        this.socketManager.on('ui:card_released', (data) => this.handleCardsReleased(data));
+        this.socketManager.on('ui:cards_snapshot', (data) => this.handleCardsSnapshot(data));
+        
+        // Catch up with everything missed on every (re)connect
+        this.socketManager.on('connected', () => {
+            this.socketManager.subscribeCards(this.state.variant);
+        });
+        
+        this.socketManager.connect().catch(error => {
+            console.warn('Live card updates unavailable:', error);
+        });
+    }
+    
+    // Cards another player confirmed
+    handleCardsTaken({ cardNumbers, variant, playerId }) {
+        if (variant && variant !== this.state.variant) return;
+        
+        const taken = this.cardManager.updateCardAvailability(cardNumbers, false);
+        const isOwn = playerId !== undefined && String(playerId) === this.cardManager.getPlayerId();
+        this.applyAvailabilityChanges({ taken }, !isOwn);
+    }
+    
+    // Cards back on sale
+    handleCardsReleased({ cardNumbers, variant }) {
+        if (variant && variant !== this.state.variant) return;
+        
+        this.applyAvailabilityChanges({ released: this.cardManager.updateCardAvailability(cardNumbers, true) });
+    }
+    
+    // Full list of available cards
+    handleCardsSnapshot({ availableCards, variant }) {
+        if (variant && variant !== this.state.variant) return;
+        
+        this.applyAvailabilityChanges(this.cardManager.replaceAvailableCards(availableCards));
+    }
+    
+    // Show availability changes on the grid
+    // takenByOther: selected cards that were taken leave the selection
+    applyAvailabilityChanges({ taken = [], released = [] }, takenByOther = true) {
+        taken.forEach(cardNumber => {
+            this.state.availableCards.delete(cardNumber);
+            this.uiManager.setCardAvailability(cardNumber, false);
+        });
+        released.forEach(cardNumber => {
+            this.state.availableCards.add(cardNumber);
+            this.uiManager.setCardAvailability(cardNumber, true);
+        });
+        
+        if (taken.length === 0 && released.length === 0) return;
+        this.uiManager.updateStats({ availableCards: this.state.availableCards.size });
+        
+        // Cards in play are not affected; only a selection still being made
+        const lost = taken.filter(cardNumber => this.state.selectedCards.has(cardNumber));
+        if (takenByOther && lost.length > 0 && this.gameEngine.stateMachine.is(GAME_STATES.SELECTING_CARDS)) {
+            this.cardManager.releaseCards(lost);
+            this.dropFromSelection(lost);
+            this.uiManager.showToast(
+                lost.length === 1
+                    ? `Card ${lost[0]} was just taken by another player`
+                    : `Cards ${lost.join(', ')} were just taken by other players`,
+                'warning'
+            );
+        }
+    }
+    
+    // Add the available card that covers the most new numbers
+    handleSuggestCard() {
+        if (this.state.selectedCards.size >= CONFIG.MAX_SELECTION) {
+            this.uiManager.showToast(`You can only select up to ${CONFIG.MAX_SELECTION} cards`, 'warning');
+            return;
+        }
+        
+        const suggestion = this.cardManager.recommendNextCard(this.state.availableCards, this.state.selectedCards);
+        if (!suggestion) {
+            this.uiManager.showToast('No more cards available', 'warning');
+            return;
+        }
+        
+        this.applySelection([...this.state.selectedCards, suggestion.cardNumber]);
+        this.uiManager.showToast(
+            `Card ${suggestion.cardNumber} adds ${suggestion.newNumbers} new numbers`,
+            'success'
+        );
+    }
+    
+    // Fill the rest of the selection for the best coverage
+    handleCompleteSelection() {
+        const result = this.cardManager.recommendCardSet(this.state.availableCards, this.state.selectedCards);
+        if (result.added.length === 0) {
+            this.uiManager.showToast('Your selection is already complete', 'info');
+            return;
+        }
+        
+        this.applySelection(result.cards);
+        this.uiManager.showToast(`Added cards ${result.added.join(', ')}`, 'success');
+    }
+    
+    // Replace the selection with random cards that still cover the board well
+    handleQuickPick() {
+        const result = this.cardManager.quickPick(this.state.availableCards);
+        if (result.cards.length === 0) {
+            this.uiManager.showToast('No cards available', 'warning');
+            return;
+        }
+        
+        this.applySelection(result.cards);
+    }
+    
+    // Add a card to the comparison, or take it out if it is already there
+    handleCardCompare(cardNumber) {
+        const index = this.state.compareCards.indexOf(cardNumber);
+        
+        if (index !== -1) {
+            this.state.compareCards.splice(index, 1);
+        } else if (this.state.compareCards.length >= CONFIG.MAX_COMPARE) {
+            this.uiManager.showToast(`You can compare up to ${CONFIG.MAX_COMPARE} cards`, 'warning');
+            return;
+        } else {
+            this.state.compareCards.push(cardNumber);
+        }
+        
+        this.uiManager.updateCompareCards(this.state.compareCards);
+        if (this.uiManager.isCompareVisible()) {
+            this.showComparison();
+        }
+    }
+    
+    // Open the comparison view for the queued cards
+    async showComparison() {
+        if (this.state.compareCards.length < 2) {
+            this.uiManager.hideCompareModal();
+            this.uiManager.showToast('Add at least two cards to compare', 'info');
+            return;
+        }
+        
+        try {
+            const comparison = await this.cardManager.compareCards(this.state.compareCards);
+            this.uiManager.displayComparison(comparison, this.state.selectedCards);
+            this.uiManager.showCompareModal();
+        } catch (error) {
+            console.error('Failed to compare cards:', error);
+            this.uiManager.showError('Failed to load cards for comparison.');
+        }
+    }
+    
+    // Make sure card numbers mean the same cards here and on the server
+    async checkDeck() {
+        const result = await this.cardManager.checkDeck();
+        this.state.deck = result.client;
+        
+        if (result.match === false) {
+            const imported = result.client.source === 'imported';
+            this.uiManager.showToast(
+                imported ? ERROR_MESSAGES.IMPORTED_DECK_MISMATCH : ERROR_MESSAGES.DECK_MISMATCH,
+                imported ? 'warning' : 'error'
+            );
+        }
+    }
+    
+    // Open the card a printed QR code links to (?card=57&deck=...&game=...)
+    openLinkedCard() {
+        const params = new URLSearchParams(window.location.search);
+        const cardNumber = parseInt(params.get('card'));
+        if (!this.cardManager.isValidCardNumber(cardNumber)) return;
+        
+        const deck = params.get('deck');
+        if (deck && this.state.deck && !this.state.deck.hash.startsWith(deck)) {
+            this.uiManager.showToast(ERROR_MESSAGES.PRINTED_DECK_MISMATCH, 'warning');
+        }
+        
+        // The next game here is the one the card was printed for
+        const gameId = params.get('game');
+        if (gameId && !this.gameEngine.state.gameId) {
+            this.state.printedGameId = gameId;
+        }
+        
+        this.handleCardPreview(cardNumber);
+    }
+    
+    // Print the selected cards for players without phones
+    async handlePrintSelection() {
+        if (this.state.selectedCards.size === 0) {
+            this.uiManager.showToast('Please select at least one card', 'warning');
+            return;
+        }
+        
+        try {
+            // Cards printed before a game carry the id that game will use
+            const gameId = this.gameEngine.state.gameId ||
+                           this.state.printedGameId ||
+                           this.gameEngine.generateGameId();
+            if (!this.gameEngine.state.gameId) {
+                this.state.printedGameId = gameId;
+            }
+            
+            await this.printSheet.print(Array.from(this.state.selectedCards).sort((a, b) => a - b), { gameId });
+        } catch (error) {
+            console.error('Failed to print cards:', error);
+            this.uiManager.showError('Failed to print cards.');
+        }
+    }
+    
     // Handle card preview
     async handleCardPreview(cardNumber) {
         try {
@@ -234,20 +595,51 @@ class BingoApp {
     
     // Start the game
     async startGame() {
+        if (!this.gameEngine.stateMachine.can(GAME_STATES.WAITING)) {
+            this.uiManager.showToast('A game is already in progress', 'warning');
+            return;
+        }
+        
         try {
-            // Update game state
-            this.state.gameState = GAME_STATES.PLAYING;
+            // Load the progressive jackpot carried over from earlier games
+            let jackpot = null;
+            if (CONFIG.JACKPOT.ENABLED) {
+                this.jackpotLedger.setVariant(this.state.variant);
+                await this.jackpotLedger.load();
+                jackpot = this.jackpotLedger.getTerms();
+            }
             
             // Initialize game engine
-            await this.gameEngine.init(Array.from(this.state.selectedCards));
+            await this.gameEngine.init(Array.from(this.state.selectedCards), {
+                gameId: this.state.printedGameId || undefined,
+                daubMode: this.state.daubMode,
+                variant: this.state.variant,
+                jackpot
+            });
+            
+            // The cards are in the game now; their holds are left to run out
+            this.stopReservationTimer();
+            this.uiManager.updateReservationCountdowns(new Map());
             
             // Switch to game board view
-            this.uiManager.showGameBoard();
+            await this.uiManager.showGameBoard();
+            this.uiManager.renderPlayerCards(this.gameEngine.getAllCardData());
+            this.uiManager.updateStage(this.gameEngine.getCurrentStage(), this.gameEngine.state.stages.length);
+            this.uiManager.updateJackpot(this.gameEngine.state.jackpot, 0);
+            this.setupGameBoardControls();
             
             // Start WebSocket connection
             await this.socketManager.connect();
             
+            // Start calling numbers
+            this.gameEngine.startGame();
+            if (CONFIG.AUTO_CALL.ENABLED) {
+                this.gameEngine.startAutoCall();
+            }
+            this.startGameClock();
+            
             // Save game state
+            this.state.printedGameId = null;
             this.saveGameState();
             
             // Play start sound
@@ -263,22 +655,335 @@ class BingoApp {
             
         } catch (error) {
             console.error('Failed to start game:', error);
+            this.abortGameStart();
             this.uiManager.showError('Failed to start game. Please try again.');
         }
     }
     
+    // Go back to card selection after a game failed to start, so it can be retried
+    abortGameStart() {
+        if (!this.gameEngine.stateMachine.is(GAME_STATES.WAITING)) return;
+        
+        this.gameEngine.reset();
+        this.gameEngine.stateMachine.transition(GAME_STATES.SELECTING_CARDS);
+        this.uiManager.hideGameBoard();
+        
+        // Keep holding the selected cards
+        this.startReservationTimer();
+        this.renewReservations();
+    }
+    
+    // Resume a saved game exactly where it was left
+    async resumeSavedGame(snapshot) {
+        try {
+            this.gameEngine.restore(snapshot);
+            this.stopReservationTimer(); // Cards were held and confirmed before the game started
+            
+            // Switch to game board view with the restored board
+            await this.uiManager.showGameBoard();
+            this.uiManager.renderPlayerCards(this.gameEngine.getAllCardData(), this.gameEngine.state.winners);
+            this.uiManager.updateStage(this.gameEngine.getCurrentStage(), this.gameEngine.state.stages.length);
+            this.uiManager.updateJackpot(this.gameEngine.state.jackpot, this.gameEngine.state.calledNumbers.size);
+            this.setupGameBoardControls();
+            this.uiManager.setPauseState(this.gameEngine.isPaused());
+            
+            const history = this.gameEngine.state.calledNumbersHistory;
+            if (history.length > 0) {
+                this.uiManager.updateCurrentNumber(history[history.length - 1]);
+            }
+            this.uiManager.updateGameTime(this.gameEngine.getElapsedTime());
+            
+            // Start WebSocket connection
+            await this.socketManager.connect();
+            
+            // Continue calling numbers unless the game was paused
+            if (CONFIG.AUTO_CALL.ENABLED && this.gameEngine.isActive()) {
+                this.gameEngine.startAutoCall();
+            }
+            this.startGameClock();
+            
+            this.uiManager.showToast('Game resumed', 'success');
+            
+            if (this.tg) {
+                this.tg.BackButton.show();
+            }
+        } catch (error) {
+            console.error('Failed to resume game:', error);
+            this.uiManager.showError('Failed to resume game.');
+        }
+    }
+    
+    // Replay an exported game (output of GameEngine.exportGameData)
+    async startReplay(exportedGame) {
+        if (this.gameEngine.isActive() || this.gameEngine.isPaused()) {
+            this.uiManager.showToast('Finish the current game before watching a replay', 'warning');
+            return;
+        }
+        
+        try {
+            this.stopReplay();
+            this.replay = new GameReplay(exportedGame);
+            
+            await this.uiManager.showGameBoard();
+            await this.uiManager.showReplayControls(this.replay.total);
+            this.uiManager.renderPlayerCards(this.replay.getCards());
+            this.setupReplayControls();
+            
+            const fairness = await this.replay.verifyDraw();
+            if (!fairness.valid && fairness.reason !== 'seed_not_revealed') {
+                this.uiManager.showToast(`Draw could not be verified: ${fairness.reason}`, 'error');
+            }
+        } catch (error) {
+            console.error('Failed to start replay:', error);
+            this.uiManager.showError('Failed to load game replay.');
+        }
+    }
+    
+    // Close the active replay
+    stopReplay() {
+        if (!this.replay) return;
+        
+        this.replay.destroy();
+        this.replay = null;
+        this.uiManager.hideReplayControls();
+    }
+    
+    // Load a replay from an exported JSON file
+    async loadReplayFile(file) {
+        try {
+            const exportedGame = JSON.parse(await file.text());
+            await this.startReplay(exportedGame);
+        } catch (error) {
+            console.error('Failed to read replay file:', error);
+            this.uiManager.showError('This file is not a valid game export.');
+        }
+    }
+    
+    // Import a printed deck from a CSV or JSON file
+    async loadDeckFile(file) {
+        try {
+            const result = this.cardManager.importDeck(await file.text(), getDeckFormat(file.name));
+            
+            if (result.errors.length > 0) {
+                console.error('Deck import failed:', result.errors);
+                const [first] = result.errors;
+                const where = first.row ? `row ${first.row}: ` : '';
+                this.uiManager.showError(
+                    `Deck not imported (${result.errors.length} invalid rows). First error, ${where}${first.errors[0]}`
+                );
+                return;
+            }
+            
+            this.uiManager.showToast(`Imported ${result.imported} cards`, 'success');
+            this.updateCoverage();
+            await this.checkDeck();
+        } catch (error) {
+            console.error('Failed to read deck file:', error);
+            this.uiManager.showError('This file is not a valid deck.');
+        }
+    }
+    
+    // Download the current deck as CSV or JSON
+    async exportDeck(format) {
+        try {
+            const text = await this.cardManager.exportDeck(format);
+            this.uiManager.downloadFile(
+                `bingo-deck-${this.state.variant}.${format}`,
+                text,
+                format === DECK_FORMATS.JSON ? 'application/json' : 'text/csv'
+            );
+        } catch (error) {
+            console.error('Failed to export deck:', error);
+            this.uiManager.showError('Failed to export deck.');
+        }
+    }
+    
+    // Set up replay controls and board updates
+    setupReplayControls() {
+        const replay = this.replay;
+        const seek = document.getElementById('replaySeek');
+        const speed = document.getElementById('replaySpeed');
+        
+        const showPosition = ({ position, numberData, discrepancies }) => {
+            if (numberData) {
+                this.uiManager.updateCurrentNumber(numberData);
+            }
+            this.uiManager.renderPlayerCards(replay.getCards());
+            this.uiManager.updateReplayPosition(position, replay.total);
+            this.uiManager.showReplayVerdict({ position, matches: discrepancies.length === 0, discrepancies });
+        };
+        
+        replay.on('step', showPosition);
+        replay.on('seek', showPosition);
+        replay.on('play', () => this.uiManager.setReplayPlaying(true));
+        replay.on('pause', () => this.uiManager.setReplayPlaying(false));
+        replay.on('finished', (result) => this.uiManager.showReplayVerdict(result));
+        
+        document.getElementById('replayPlay').addEventListener('click', () => {
+            if (replay.isPlaying) {
+                replay.pause();
+            } else {
+                replay.play();
+            }
+        });
+        
+        document.getElementById('replayStep').addEventListener('click', () => {
+            replay.pause();
+            replay.step();
+        });
+        
+        seek.addEventListener('input', () => {
+            replay.seek(parseInt(seek.value));
+        });
+        
+        speed.addEventListener('change', () => {
+            replay.setSpeed(parseFloat(speed.value));
+        });
+        
+        document.getElementById('closeReplay').addEventListener('click', () => {
+            this.stopReplay();
+            this.uiManager.hideGameBoard();
+        });
+    }
+    
+    // Handle pause button
+    handlePauseToggle() {
+        if (this.gameEngine.isPaused()) {
+            this.gameEngine.resumeGame();
+        } else {
+            this.gameEngine.pauseGame();
+        }
+        
+        this.saveGameState();
+        this.audioManager.play('button-click');
+    }
+    
+    // Handle a tap on a player card cell (manual daub mode)
+    handleDaub(cardNumber, number) {
+        if (!this.gameEngine.isManualDaub()) return;
+        
+        const result = this.gameEngine.daubNumber(cardNumber, number);
+        
+        if (result.accepted) {
+            this.uiManager.markPlayerCardCell(number, cardNumber);
+            this.saveGameState();
+            this.audioManager.play('button-click');
+        } else if (result.reason === 'number_not_called') {
+            this.uiManager.showToast(`${number} has not been called yet`, 'warning');
+        }
+    }
+    
+    // Handle Call Bingo button
+    handleCallBingo() {
+        // The claim is tied to the ball on display when the button was pressed, and made
+        // on the card closest to a win, which is the card a false claim forfeits
+        const result = this.gameEngine.claimBingo(
+            this.gameEngine.getClaimCard(),
+            this.gameEngine.state.calledNumbers.size
+        );
+        this.saveGameState();
+        
+        if (result.valid) {
+            this.uiManager.showToast(SUCCESS_MESSAGES.BINGO_VALID, 'success');
+            this.audioManager.playBingo();
+            
+            // Hold the next call until the server has checked the claims
+            this.gameEngine.holdCalls();
+            Promise.all(result.winners.map(winner =>
+                this.socketManager.callBingo(
+                    this.gameEngine.state.gameId,
+                    winner.cardNumber,
+                    winner.pattern,
+                    winner.sequence
+                )
+            )).finally(() => this.gameEngine.releaseCalls());
+            return;
+        }
+        
+        switch (result.reason) {
+            case 'late_claim':
+                this.uiManager.showToast(
+                    `Too late! Ball ${result.currentSequence} has already been called`,
+                    'warning'
+                );
+                break;
+                
+            case 'claim_window_closed':
+                this.uiManager.showToast('Too late! Claims close a few seconds after each call', 'warning');
+                break;
+                
+            case 'auto_daub':
+                this.uiManager.showToast('Wins are detected automatically in auto daub mode', 'info');
+                break;
+                
+            case 'cooldown':
+                this.uiManager.showToast(
+                    `Wait ${Math.ceil(result.retryAfter / 1000)}s before claiming again`,
+                    'warning'
+                );
+                break;
+                
+            case 'no_completed_pattern':
+                if (result.penalty.type === CONFIG.DAUB.PENALTIES.LOSE_CARD) {
+                    this.uiManager.setCardDisqualified(result.penalty.cardNumber);
+                    this.uiManager.showToast(
+                        `False bingo! Card #${result.penalty.cardNumber} is out of the game`,
+                        'error'
+                    );
+                } else {
+                    this.uiManager.showToast('False bingo! No pattern is complete', 'error');
+                }
+                break;
+        }
+    }
+    
+    // Leave a finished game and go back to card selection
+    async handleNewGame() {
+        this.uiManager.hideWinnersModal();
+        this.uiManager.hideGameBoard();
+        this.gameEngine.reset();
+        localStorage.removeItem(CONFIG.STORAGE_KEYS.GAME_STATE);
+        await this.initCardGrid();
+    }
+    
+    // Start updating the game clock display
+    startGameClock() {
+        this.stopGameClock();
+        this.gameClockTimer = setInterval(() => {
+            this.uiManager.updateGameTime(this.gameEngine.getElapsedTime());
+        }, 1000);
+    }
+    
+    // Stop updating the game clock display
+    stopGameClock() {
+        clearInterval(this.gameClockTimer);
+        this.gameClockTimer = null;
+    }
+    
     // Handle clear selection
     handleClearSelection() {
         this.state.selectedCards.clear();
+        this.cardManager.releaseCards();
         this.uiManager.clearCardSelection();
+        this.uiManager.updateReservationCountdowns(this.cardManager.reservations);
         this.uiManager.updateSelectionCount(0);
+        this.updateCoverage();
         this.saveSelection();
         this.audioManager.play('button-click');
     }
     
-    // Handle search
+    // Handle search (query language in card-search.js)
     handleSearch(searchTerm) {
-        this.uiManager.filterCards(searchTerm);
+        try {
+            const matches = this.cardManager.searchCards(searchTerm, {
+                availableCards: this.state.availableCards,
+                selectedCards: this.state.selectedCards
+            });
+            this.uiManager.filterCards(matches);
+            this.uiManager.setSearchError(null);
+        } catch (error) {
+            this.uiManager.setSearchError(error.message);
+        }
     }
     
     // Handle theme toggle
@@ -310,7 +1015,10 @@ class BingoApp {
     
     // Save selection to local storage
     saveSelection() {
-        const selection = Array.from(this.state.selectedCards);
+        const selection = {
+            cards: Array.from(this.state.selectedCards),
+            deck: this.state.deck // Card numbers are only meaningful within this deck
+        };
         localStorage.setItem(
             CONFIG.STORAGE_KEYS.SELECTED_CARDS,
             JSON.stringify(selection)
@@ -322,7 +1030,9 @@ class BingoApp {
         const prefs = {
             theme: this.state.theme,
             soundEnabled: this.state.soundEnabled,
-            volume: this.audioManager.getVolume()
+            volume: this.audioManager.getVolume(),
+            daubMode: this.state.daubMode,
+            variant: this.state.variant
         };
         
         localStorage.setItem(
@@ -351,6 +1061,15 @@ class BingoApp {
             if (prefs.volume) {
                 this.audioManager.setVolume(prefs.volume);
             }
+            
+            if (prefs.daubMode) {
+                this.state.daubMode = prefs.daubMode;
+            }
+            
+            if (prefs.variant && BINGO_VARIANTS[prefs.variant]) {
+                this.state.variant = prefs.variant;
+                this.cardManager.setVariant(prefs.variant);
+            }
         } catch (error) {
             console.error('Failed to load preferences:', error);
         }
@@ -361,7 +1080,7 @@ class BingoApp {
         const gameState = {
             selectedCards: Array.from(this.state.selectedCards),
             gameState: this.state.gameState,
-            gameData: this.gameEngine.getState(),
+            gameData: this.gameEngine.serialize(),
             timestamp: Date.now()
         };
         
@@ -380,17 +1099,20 @@ class BingoApp {
                 const gameState = JSON.parse(savedState);
                 const isExpired = Date.now() - gameState.timestamp > CONFIG.CACHE_TTL;
                 
-                if (!isExpired && gameState.gameState === GAME_STATES.PLAYING) {
+                const isResumable = gameState.gameState === GAME_STATES.PLAYING ||
+                                    gameState.gameState === GAME_STATES.PAUSED;
+                
+                if (!isExpired && isResumable && gameState.gameData?.schemaVersion) {
                     // Restore game
                     this.state.selectedCards = new Set(gameState.selectedCards);
-                    this.state.gameState = gameState.gameState;
                     
                     // Update UI
                     this.uiManager.updateCardSelectionFromSet(this.state.selectedCards);
                     this.uiManager.updateSelectionCount(this.state.selectedCards.size);
+                    this.updateCoverage();
                     
-                    // Start game
-                    await this.startGame();
+                    // Resume the exact board
+                    await this.resumeSavedGame(gameState.gameData);
                 }
             }
         } catch (error) {
@@ -421,6 +1143,19 @@ class BingoApp {
             this.uiManager.updateOnlineStatus(false);
         });
         
+        // Holds: renew as soon as the player is back, release when they leave
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && this.reservationTimer) {
+                this.renewReservations();
+            }
+        });
+        
+        window.addEventListener('pagehide', () => {
+            if (this.reservationTimer) {
+                this.cardManager.releaseCards(undefined, { keepalive: true });
+            }
+        });
+        
         this.uiManager.updateOnlineStatus(this.state.isOnline);
     }
     
@@ -449,6 +1184,134 @@ class BingoApp {
         }
     }
     
+    // Set up game engine listeners
+    setupGameEngineListeners() {
+        const stateMachine = this.gameEngine.stateMachine;
+        
+        // Mirror the engine's state machine instead of tracking state separately
+        stateMachine.on('transition', ({ to }) => {
+            this.state.gameState = to;
+        });
+        
+        stateMachine.on(`enter:${GAME_STATES.FINISHED}`, () => {
+            this.stopGameClock();
+        });
+        
+        this.uiManager.observeGameState(stateMachine);
+        this.socketManager.observeGameState(stateMachine);
+        this.offlineManager.observeGameState(stateMachine);
+        
+        this.gameEngine.on('number_drawn', (numberData) => {
+            this.uiManager.updateCurrentNumber(numberData);
+            if (!this.gameEngine.isManualDaub()) {
+                this.uiManager.markPlayerCardCell(numberData.number);
+            }
+            this.saveGameState();
+            this.uiManager.highlightNeededNumbers(this.gameEngine.getNeededNumbers());
+            this.uiManager.updateJackpot(this.gameEngine.state.jackpot, numberData.sequence);
+            this.audioManager.playNumberDrawn();
+        });
+        
+        this.gameEngine.on('one_away', ({ cardNumber, patternName, neededNumber }) => {
+            this.uiManager.showToast(
+                `So close! Card #${cardNumber} needs ${neededNumber} for ${patternName}`,
+                'info'
+            );
+        });
+        
+        this.gameEngine.on('countdown', ({ remaining }) => {
+            this.uiManager.updateCallCountdown(remaining);
+        });
+        
+        this.gameEngine.on('claim_window_opened', () => {
+            this.uiManager.setClaimWindowOpen(true);
+        });
+        
+        this.gameEngine.on('claim_window_closed', () => {
+            this.uiManager.setClaimWindowOpen(false);
+        });
+        
+        this.gameEngine.on('patterns_completed', ({ winners }) => {
+            winners.forEach(winner => {
+                this.uiManager.showWinningCard(this.gameEngine.getCardData(winner.cardNumber), this.gameEngine.state.winners);
+            });
+        });
+        
+        this.gameEngine.on('stage_started', ({ stage, total }) => {
+            this.uiManager.updateStage(stage, total);
+            if (stage.index > 0) {
+                this.uiManager.showToast(`Now playing for ${stage.prize}`, 'info');
+            }
+        });
+        
+        this.gameEngine.on('game_ended', (result) => {
+            this.uiManager.showWinnersModal(result, this.gameEngine.getAllCardData());
+            this.saveGameState();
+            
+            // Roll the jackpot over, or reset it after a win
+            if (result.jackpot) {
+                this.jackpotLedger.settle(this.gameEngine.state.gameId, result.jackpot);
+            }
+        });
+        
+        this.gameEngine.on('jackpot_won', ({ jackpot }) => {
+            this.uiManager.showToast(
+                `JACKPOT! Card ${jackpot.cardNumbers.map(n => `#${n}`).join(', ')} hit it in ${jackpot.sequence} calls`,
+                'success'
+            );
+            this.uiManager.updateJackpot(jackpot, jackpot.sequence);
+        });
+        
+        this.gameEngine.on('stage_completed', ({ stage, winners }) => {
+            const cards = winners.map(winner => `#${winner.cardNumber}`).join(', ');
+            this.uiManager.showToast(`${stage.prize} won by card ${cards}!`, 'success');
+            this.audioManager.playWin();
+        });
+    }
+    
+    // Set up controls on the loaded game board
+    setupGameBoardControls() {
+        const pauseButton = document.getElementById('pauseGame');
+        const callSpeed = document.getElementById('callSpeed');
+        const callBingo = document.getElementById('callBingo');
+        const playerCards = document.getElementById('playerCards');
+        const continueGame = document.getElementById('continueGame');
+        const newGame = document.getElementById('newGame');
+        
+        if (pauseButton) {
+            pauseButton.addEventListener('click', this.handlePauseToggle);
+        }
+        
+        if (callSpeed) {
+            callSpeed.value = String(this.gameEngine.autoCaller.interval);
+            callSpeed.addEventListener('change', () => {
+                this.gameEngine.setCallInterval(parseInt(callSpeed.value));
+            });
+        }
+        
+        if (callBingo) {
+            callBingo.addEventListener('click', this.handleCallBingo);
+        }
+        
+        if (playerCards) {
+            playerCards.addEventListener('click', (event) => {
+                const cell = event.target.closest('.bingo-cell:not(.free)');
+                const card = event.target.closest('.player-card');
+                if (cell && card) {
+                    this.handleDaub(parseInt(card.dataset.cardNumber), parseInt(cell.dataset.number));
+                }
+            });
+        }
+        
+        if (continueGame) {
+            continueGame.addEventListener('click', () => this.uiManager.hideWinnersModal());
+        }
+        
+        if (newGame) {
+            newGame.addEventListener('click', () => this.handleNewGame());
+        }
+    }
+    
     // Set up event listeners
     setupEventListeners() {
         // Card selection
@@ -464,15 +1327,85 @@ class BingoApp {
         // Buttons
         document.getElementById('confirmSelection').addEventListener('click', this.handleConfirmSelection);
         document.getElementById('clearSelection').addEventListener('click', this.handleClearSelection);
+        document.getElementById('printSelection').addEventListener('click', () => this.handlePrintSelection());
+        document.getElementById('suggestCard').addEventListener('click', () => this.handleSuggestCard());
+        document.getElementById('completeSelection').addEventListener('click', () => this.handleCompleteSelection());
+        document.getElementById('quickPick').addEventListener('click', () => this.handleQuickPick());
+        document.getElementById('openCompare').addEventListener('click', () => this.showComparison());
         document.getElementById('toggleTheme').addEventListener('click', this.handleThemeToggle);
         document.getElementById('toggleSound').addEventListener('click', this.handleSoundToggle);
         
+        // Replay
+        const replayFile = document.getElementById('replayFile');
+        document.getElementById('openReplay').addEventListener('click', () => {
+            replayFile.click();
+        });
+        replayFile.addEventListener('change', () => {
+            if (replayFile.files[0]) {
+                this.loadReplayFile(replayFile.files[0]);
+                replayFile.value = '';
+            }
+        });
+        
+        // Deck import/export
+        const deckFile = document.getElementById('deckFile');
+        document.getElementById('importDeck').addEventListener('click', () => {
+            deckFile.click();
+        });
+        deckFile.addEventListener('change', () => {
+            if (deckFile.files[0]) {
+                this.loadDeckFile(deckFile.files[0]);
+                deckFile.value = '';
+            }
+        });
+        document.getElementById('exportDeckCsv').addEventListener('click', () => {
+            this.exportDeck(DECK_FORMATS.CSV);
+        });
+        document.getElementById('exportDeckJson').addEventListener('click', () => {
+            this.exportDeck(DECK_FORMATS.JSON);
+        });
+        document.getElementById('resetDeck').addEventListener('click', () => {
+            this.cardManager.clearImportedDeck();
+            this.updateCoverage();
+            this.checkDeck();
+            this.uiManager.showToast('Using generated cards', 'info');
+        });
+        
+        // Game settings
+        const daubMode = document.getElementById('daubMode');
+        daubMode.value = this.state.daubMode;
+        daubMode.addEventListener('change', () => {
+            this.state.daubMode = daubMode.value;
+            this.savePreferences();
+        });
+        
+        const variantSelect = document.getElementById('variant');
+        variantSelect.value = this.state.variant;
+        variantSelect.addEventListener('change', () => {
+            this.state.variant = variantSelect.value;
+            this.cardManager.releaseCards(); // Holds are per variant
+            this.cardManager.setVariant(variantSelect.value);
+            this.renewReservations();
+            if (this.socketManager.isConnected) {
+                this.socketManager.subscribeCards(variantSelect.value);
+            }
+            this.savePreferences();
+            this.checkDeck();
+            this.handleSearch(document.getElementById('cardSearch').value);
+            this.updateCoverage();
+        });
+        
         // Search
         const searchInput = document.getElementById('cardSearch');
         const clearSearch = document.getElementById('clearSearch');
         
+        // Debounced search
+        let searchTimeout;
         searchInput.addEventListener('input', () => {
-            this.handleSearch(searchInput.value);
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => {
+                this.handleSearch(searchInput.value);
+            }, CONFIG.DEBOUNCE_DELAY);
         });
         
         clearSearch.addEventListener('click', () => {
@@ -498,11 +1431,54 @@ class BingoApp {
             this.uiManager.hideCardPreviewModal();
         });
         
+        document.getElementById('comparePreviewCard').addEventListener('click', () => {
+            const cardNumber = parseInt(document.getElementById('previewCardNumber').textContent);
+            if (!this.state.compareCards.includes(cardNumber)) {
+                this.handleCardCompare(cardNumber);
+            }
+            this.uiManager.hideCardPreviewModal();
+            
+            if (this.state.compareCards.length >= 2) {
+                this.showComparison();
+            } else {
+                this.uiManager.showToast(`Card ${cardNumber} added to the comparison`, 'info');
+            }
+        });
+        
+        // Comparison modal
+        document.getElementById('closeCompare').addEventListener('click', () => {
+            this.uiManager.hideCompareModal();
+        });
+        
+        document.getElementById('closeCompareBtn').addEventListener('click', () => {
+            this.uiManager.hideCompareModal();
+        });
+        
+        document.getElementById('clearCompare').addEventListener('click', () => {
+            this.state.compareCards = [];
+            this.uiManager.updateCompareCards(this.state.compareCards);
+            this.uiManager.hideCompareModal();
+        });
+        
+        document.getElementById('compareContent').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action]');
+            if (!button) return;
+            
+            const cardNumber = parseInt(button.closest('.compare-card').dataset.cardNumber);
+            if (button.dataset.action === 'remove') {
+                this.handleCardCompare(cardNumber);
+            } else if (button.dataset.action === 'select') {
+                this.handleCardClick(cardNumber);
+                this.showComparison();
+            }
+        });
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', (event) => {
             if (event.key === 'Escape') {
                 if (this.uiManager.isModalVisible()) {
                     this.uiManager.hideCardPreviewModal();
+                    this.uiManager.hideCompareModal();
                 }
             }
         });
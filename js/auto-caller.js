@@ -0,0 +1,132 @@
+// Auto Caller - Timer that drives number calls with a countdown
+
+export class AutoCaller {
+    constructor({ interval, tick = 1000, onCountdown = () => {}, onCall = () => null }) {
+        this.interval = interval;
+        this.tickInterval = tick;
+        this.onCountdown = onCountdown;
+        this.onCall = onCall;
+        
+        this.timer = null;
+        this.remaining = 0;
+        this.stepStartedAt = null;
+        this.isRunning = false;
+        this.isPaused = false;
+        this.holds = 0; // Outstanding hold() calls, e.g. claims being checked
+    }
+    
+    // Start calling numbers
+    start() {
+        if (this.isRunning) return;
+        
+        this.isRunning = true;
+        this.isPaused = false;
+        this.scheduleCall(this.interval);
+    }
+    
+    // Stop calling numbers
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.isRunning = false;
+        this.isPaused = false;
+        this.holds = 0;
+    }
+    
+    // Freeze the countdown where it is
+    pause() {
+        if (!this.isRunning || this.isPaused) return;
+        
+        this.isPaused = true;
+        this.freeze();
+    }
+    
+    // Continue the countdown from where it was paused
+    resume() {
+        if (!this.isRunning || !this.isPaused) return;
+        
+        this.isPaused = false;
+        this.thaw();
+    }
+    
+    // Wait before the next call until release(); holds nest and are separate from pause()
+    hold() {
+        this.holds++;
+        this.freeze();
+    }
+    
+    // Drop one hold, continuing the countdown once none are left
+    release() {
+        if (this.holds === 0) return;
+        
+        this.holds--;
+        this.thaw();
+    }
+    
+    // Check if the countdown is stopped by a pause or a hold
+    isFrozen() {
+        return this.isPaused || this.holds > 0;
+    }
+    
+    // Stop the running countdown step, keeping the time left
+    freeze() {
+        if (!this.timer) return;
+        
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.remaining = Math.max(0, this.remaining - (Date.now() - this.stepStartedAt));
+    }
+    
+    // Restart the countdown if nothing is stopping it any more
+    thaw() {
+        if (!this.isRunning || this.isFrozen() || this.timer) return;
+        
+        this.tick();
+    }
+    
+    // Change the time between calls
+    setInterval(interval) {
+        this.interval = interval;
+        
+        // Shorten the current countdown if it is now longer than the interval
+        if (this.isRunning && !this.isFrozen() && this.remaining > interval) {
+            clearTimeout(this.timer);
+            this.scheduleCall(interval);
+        }
+    }
+    
+    // Begin a countdown to the next call
+    scheduleCall(delay) {
+        this.remaining = delay;
+        this.tick();
+    }
+    
+    // Advance the countdown by one tick, calling when it reaches zero
+    tick() {
+        if (this.remaining <= 0) {
+            // Stop once the caller reports nothing left to call
+            if (this.onCall() === null) {
+                this.stop();
+                return;
+            }
+            
+            if (this.isRunning && !this.isFrozen()) {
+                this.scheduleCall(this.interval);
+            } else {
+                // Wait out a full interval once the pause or hold ends
+                this.remaining = this.interval;
+            }
+            return;
+        }
+        
+        this.onCountdown(this.remaining);
+        
+        const step = Math.min(this.tickInterval, this.remaining);
+        this.stepStartedAt = Date.now();
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.remaining -= step;
+            this.tick();
+        }, step);
+    }
+}
@@ -0,0 +1,155 @@
+// Bingo Variants - Lookups and layout helpers for the active bingo variant
+import { CONFIG, BINGO_VARIANTS } from './config.js';
+import { createSeededRandom, shuffle } from './seeded-random.js';
+
+// Get a variant definition by id
+export function getVariant(variantId = CONFIG.DEFAULT_VARIANT) {
+    const variant = BINGO_VARIANTS[variantId];
+    if (!variant) {
+        throw new Error(`Unknown bingo variant: ${variantId}`);
+    }
+    return variant;
+}
+
+// Get all variant definitions
+export function getAllVariants() {
+    return Object.values(BINGO_VARIANTS);
+}
+
+// Column index whose range contains a number (-1 if none)
+export function getColumnForNumber(variant, number) {
+    return variant.columnRanges.findIndex(range => number >= range.min && number <= range.max);
+}
+
+// Letter or column label for a called number
+export function getNumberLabel(variant, number) {
+    const column = getColumnForNumber(variant, number);
+    return column === -1 ? '' : variant.labels[column];
+}
+
+// Check if a cell holds a callable number (not free space or blank)
+export function isNumberCell(cell) {
+    return typeof cell.number === 'number';
+}
+
+// Count callable numbers on a card
+export function countCardNumbers(cardData) {
+    return cardData.numbers.filter(isNumberCell).length;
+}
+
+// Check if a cell position is the variant's free space
+export function isFreeSpacePosition(variant, row, column) {
+    return Boolean(variant.freeSpace) &&
+           variant.freeSpace[0] === row &&
+           variant.freeSpace[1] === column;
+}
+
+// Share extra numbers out between tickets (each ticket gets `perTicket`,
+// no column on a ticket exceeds `rows`). Returns null on a dead end.
+function distributeStripNumbers(variant, columnNumbers, random) {
+    const tickets = variant.ticketsPerStrip;
+    const perTicket = variant.numbersPerRow * variant.rows;
+    const assigned = Array.from({ length: tickets }, () =>
+        Array.from({ length: variant.columns }, () => [])
+    );
+    const extras = [];
+    
+    // Every ticket gets one number from every column first
+    columnNumbers.forEach((numbers, column) => {
+        numbers.forEach((number, index) => {
+            if (index < tickets) {
+                assigned[index][column].push(number);
+            } else {
+                extras.push({ number, column });
+            }
+        });
+    });
+    
+    for (const { number, column } of shuffle(extras, random)) {
+        const candidates = assigned
+            .map((ticket, index) => ({ ticket, index }))
+            .filter(({ ticket }) =>
+                ticket.flat().length < perTicket && ticket[column].length < variant.rows
+            );
+        
+        if (candidates.length === 0) return null;
+        
+        const { ticket } = candidates[Math.floor(random() * candidates.length)];
+        ticket[column].push(number);
+    }
+    
+    return assigned;
+}
+
+// Place a ticket's column numbers into rows so every row holds numbersPerRow
+// Returns a rows x columns grid of numbers and nulls, or null on a dead end
+function layoutStripTicket(variant, ticketColumns, random) {
+    const grid = Array.from({ length: variant.rows }, () => Array(variant.columns).fill(null));
+    const rowCounts = Array(variant.rows).fill(0);
+    
+    // Fill the fullest columns first so rows stay balanced
+    const order = shuffle(ticketColumns.map((_, column) => column), random)
+        .sort((a, b) => ticketColumns[b].length - ticketColumns[a].length);
+    
+    for (const column of order) {
+        const numbers = [...ticketColumns[column]].sort((a, b) => a - b);
+        const rows = shuffle(grid.map((_, row) => row), random)
+            .filter(row => rowCounts[row] < variant.numbersPerRow)
+            .sort((a, b) => rowCounts[a] - rowCounts[b])
+            .slice(0, numbers.length)
+            .sort((a, b) => a - b);
+        
+        if (rows.length < numbers.length) return null;
+        
+        rows.forEach((row, index) => {
+            grid[row][column] = numbers[index];
+            rowCounts[row]++;
+        });
+    }
+    
+    return rowCounts.every(count => count === variant.numbersPerRow) ? grid : null;
+}
+
+// Generate a strip of tickets that together hold every ball exactly once
+// seed: deck seed, so different decks deal different strips
+export function generateStrip(variant, stripNumber, seed = variant.id) {
+    const random = createSeededRandom(`${seed}:strip:${stripNumber}`);
+    
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const columnNumbers = variant.columnRanges.map(({ min, max }) =>
+            shuffle(Array.from({ length: max - min + 1 }, (_, i) => min + i), random)
+        );
+        
+        const assigned = distributeStripNumbers(variant, columnNumbers, random);
+        if (!assigned) continue;
+        
+        const tickets = assigned.map(ticketColumns => layoutStripTicket(variant, ticketColumns, random));
+        if (tickets.every(Boolean)) {
+            return tickets;
+        }
+    }
+    
+    throw new Error(`Failed to generate strip ${stripNumber} for ${variant.id}`);
+}
+
+// Card cells for one ticket grid from generateStrip()
+export function ticketToCells(variant, grid) {
+    const cells = [];
+    
+    for (let column = 0; column < variant.columns; column++) {
+        for (let row = 0; row < variant.rows; row++) {
+            const number = grid[row][column];
+            cells.push({
+                letter: variant.labels[column],
+                number,
+                row,
+                column,
+                isFreeSpace: false,
+                isBlank: number === null,
+                isMarked: number === null // Blanks never need to be called
+            });
+        }
+    }
+    
+    return cells;
+}
@@ -0,0 +1,132 @@
+// Card Cache - Card bodies kept in memory and in IndexedDB, so they survive a reload
+//
+// Entries are kept per scope; CardManager scopes them to the variant and the deck's hash,
+// so a changed deck starts a new scope instead of serving old cards. Entries also
+// expire after CONFIG.CARD_CACHE.TTL.
+import { CONFIG } from './config.js';
+
+const STORE_NAME = 'cards';
+
+export class CardCache {
+    constructor(scope) {
+        this.scope = scope;
+        this.memory = new Map();
+        this.db = null;
+        this.ready = this.open();
+    }
+    
+    // Open the database; resolves false when IndexedDB can't be used (memory only)
+    open() {
+        return new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(false);
+                return;
+            }
+            
+            const request = indexedDB.open(CONFIG.CARD_CACHE.DB_NAME, 1);
+            
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                }
+            };
+            
+            request.onsuccess = (event) => {
+                this.db = event.target.result;
+                resolve(true);
+            };
+            
+            request.onerror = (event) => {
+                console.warn('Card cache will not persist:', event.target.error);
+                resolve(false);
+            };
+        });
+    }
+    
+    // Switch scope; cards of other scopes stay on disk
+    setScope(scope) {
+        if (scope === this.scope) return;
+        
+        this.scope = scope;
+        this.memory.clear();
+    }
+    
+    // Database key of a card in the current scope
+    getKey(cardNumber) {
+        return `${this.scope}:${cardNumber}`;
+    }
+    
+    // Whether a card is in memory
+    has(cardNumber) {
+        return this.memory.has(cardNumber);
+    }
+    
+    // Card from memory
+    get(cardNumber) {
+        return this.memory.get(cardNumber);
+    }
+    
+    // Cache a card; persist: also write it to IndexedDB
+    set(cardNumber, cardData, { persist = true } = {}) {
+        this.memory.set(cardNumber, cardData);
+        
+        if (persist) {
+            const entry = { key: this.getKey(cardNumber), data: cardData, timestamp: Date.now() };
+            this.request('readwrite', store => store.put(entry)).catch(error => {
+                console.warn(`Failed to persist card ${cardNumber}:`, error);
+            });
+        }
+        return this;
+    }
+    
+    // Load a card from IndexedDB into memory
+    // Returns the card data, or null if it isn't stored or has expired
+    async load(cardNumber) {
+        if (this.memory.has(cardNumber)) {
+            return this.memory.get(cardNumber);
+        }
+        
+        const scope = this.scope;
+        const key = this.getKey(cardNumber);
+        try {
+            const entry = await this.request('readonly', store => store.get(key));
+            if (!entry || Date.now() - entry.timestamp > CONFIG.CARD_CACHE.TTL || scope !== this.scope) {
+                return null;
+            }
+            
+            this.memory.set(cardNumber, entry.data);
+            return entry.data;
+        } catch (error) {
+            console.warn(`Failed to read cached card ${cardNumber}:`, error);
+            return null;
+        }
+    }
+    
+    // Forget cached cards; persisted: also delete this scope's cards from IndexedDB
+    clear({ persisted = true } = {}) {
+        this.memory.clear();
+        
+        if (persisted) {
+            const scope = this.scope;
+            const deleteScope = store => store.delete(IDBKeyRange.bound(`${scope}:`, `${scope}:\uffff`));
+            this.request('readwrite', deleteScope).catch(error => {
+                console.warn('Failed to clear card cache:', error);
+            });
+        }
+    }
+    
+    // Run one request against the card store; resolves null without a database
+    async request(mode, makeRequest) {
+        await this.ready;
+        if (!this.db) return null;
+        
+        return new Promise((resolve, reject) => {
+            const store = this.db.transaction([STORE_NAME], mode).objectStore(STORE_NAME);
+            const request = makeRequest(store);
+            
+            request.onsuccess = (event) => resolve(event.target.result);
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+}
@@ -0,0 +1,327 @@
+// Card Generator - Seeded, validated and unique card layouts shared by every module
+import { CONFIG, CARD_RULES } from './config.js';
+import { createSeededRandom, shuffle, sha256Hex } from './seeded-random.js';
+import {
+    getVariant,
+    isNumberCell,
+    isFreeSpacePosition,
+    generateStrip,
+    ticketToCells
+} from './bingo-variants.js';
+
+// Bump whenever a generator change alters the cards dealt for a seed
+export const GENERATOR_VERSION = 1;
+
+// Retries before giving up on a unique layout (collisions are astronomically rare)
+const MAX_ATTEMPTS = 100;
+
+// Layout fingerprint: every cell's position and number
+export function getCardSignature(cells) {
+    return cells
+        .map(cell => `${cell.row}:${cell.column}:${isNumberCell(cell) ? cell.number : '-'}`)
+        .sort()
+        .join('|');
+}
+
+// Fields on which two deck fingerprints disagree (empty when they describe the same deck)
+export function getDeckMismatches(local, remote) {
+    if (!local || !remote) return ['fingerprint'];
+    return ['variant', 'generatorVersion', 'seed', 'hash'].filter(field => local[field] !== remote[field]);
+}
+
+export class CardGenerator {
+    // seed: deck seed; the same seed always deals the same deck
+    constructor(variantId = CONFIG.DEFAULT_VARIANT, { seed = CONFIG.DECK_SEED } = {}) {
+        this.variant = getVariant(variantId);
+        this.seed = seed;
+        this.deck = null;           // cardNumber -> cells
+        this.signatures = new Set();
+        this.fingerprint = null;
+        this.source = 'generated';  // 'imported' once a physical deck is loaded
+    }
+    
+    // Deck fingerprint: generator version, seed and a hash of every card layout,
+    // so "card 57" can be proven to mean the same numbers later
+    // Returns { variant, generatorVersion, seed, hash }
+    async getFingerprint() {
+        if (!this.fingerprint) {
+            this.buildDeck();
+            
+            const layouts = [];
+            for (let cardNumber = CONFIG.MIN_CARDS; cardNumber <= CONFIG.MAX_CARDS; cardNumber++) {
+                layouts.push(`${cardNumber}=${getCardSignature(this.deck.get(cardNumber))}`);
+            }
+            
+            this.fingerprint = {
+                variant: this.variant.id,
+                generatorVersion: GENERATOR_VERSION,
+                seed: this.seed,
+                source: this.source,
+                hash: await sha256Hex(`${GENERATOR_VERSION}|${this.seed}|${this.variant.id}|${layouts.join('\n')}`)
+            };
+        }
+        return { ...this.fingerprint };
+    }
+    
+    // Card cells for a card number
+    generateCells(cardNumber) {
+        this.buildDeck();
+        
+        if (!this.deck.has(cardNumber)) {
+            // Outside the standard range: still unique against the whole deck
+            this.deck.set(cardNumber, this.generateUniqueCells(cardNumber));
+        }
+        
+        // Copy so callers can mark cells without touching the deck
+        return this.deck.get(cardNumber).map(cell => ({ ...cell }));
+    }
+    
+    // Generate every card from MIN_CARDS to MAX_CARDS in order, so collisions resolve the same way each time
+    buildDeck() {
+        if (this.deck) return;
+        
+        this.deck = new Map();
+        this.signatures = new Set();
+        
+        if (this.variant.ticketsPerStrip) {
+            const strips = Math.ceil(CONFIG.MAX_CARDS / this.variant.ticketsPerStrip);
+            for (let strip = 1; strip <= strips; strip++) {
+                this.addStrip(strip);
+            }
+            return;
+        }
+        
+        for (let cardNumber = CONFIG.MIN_CARDS; cardNumber <= CONFIG.MAX_CARDS; cardNumber++) {
+            this.deck.set(cardNumber, this.generateUniqueCells(cardNumber));
+        }
+    }
+    
+    // Deal from an imported deck; card numbers it leaves out are generated unique against it
+    // cards: [{ cardNumber, numbers }], already checked with validateDeck()
+    loadDeck(cards) {
+        this.deck = new Map();
+        this.signatures = new Set();
+        this.fingerprint = null;
+        this.source = 'imported';
+        
+        cards.forEach(card => {
+            this.deck.set(card.cardNumber, card.numbers.map(cell => ({ ...cell })));
+            this.signatures.add(getCardSignature(card.numbers));
+        });
+        
+        for (let cardNumber = CONFIG.MIN_CARDS; cardNumber <= CONFIG.MAX_CARDS; cardNumber++) {
+            if (!this.deck.has(cardNumber)) {
+                this.deck.set(cardNumber, this.generateUniqueCells(cardNumber));
+            }
+        }
+    }
+    
+    // Go back to the generated deck
+    resetDeck() {
+        this.deck = null;
+        this.signatures = new Set();
+        this.fingerprint = null;
+        this.source = 'generated';
+    }
+    
+    // Deal a whole strip; a strip with any repeated ticket is dealt again
+    addStrip(stripNumber) {
+        const perStrip = this.variant.ticketsPerStrip;
+        
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const seed = attempt === 0 ? this.seed : `${this.seed}:${attempt}`;
+            const tickets = generateStrip(this.variant, stripNumber, `${seed}:${this.variant.id}`)
+                .map(grid => ticketToCells(this.variant, grid));
+            const signatures = tickets.map(getCardSignature);
+            
+            if (signatures.some(signature => this.signatures.has(signature))) continue;
+            
+            tickets.forEach((cells, index) => {
+                this.deck.set((stripNumber - 1) * perStrip + index + 1, cells);
+                this.signatures.add(signatures[index]);
+            });
+            return;
+        }
+        
+        throw new Error(`Could not deal a unique strip ${stripNumber}`);
+    }
+    
+    // Generate a layout that differs from every card generated so far
+    generateUniqueCells(cardNumber) {
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const cells = this.variant.ticketsPerStrip
+                ? this.generateStripTicket(cardNumber, attempt)
+                : this.generateGridCells(cardNumber, attempt);
+            const signature = getCardSignature(cells);
+            
+            if (!this.signatures.has(signature)) {
+                this.signatures.add(signature);
+                return cells;
+            }
+        }
+        
+        throw new Error(`Could not generate a unique card ${cardNumber}`);
+    }
+    
+    // One ticket of a strip, for card numbers beyond the dealt deck
+    generateStripTicket(cardNumber, attempt) {
+        const stripNumber = Math.ceil(cardNumber / this.variant.ticketsPerStrip);
+        const ticketIndex = (cardNumber - 1) % this.variant.ticketsPerStrip;
+        const grid = generateStrip(this.variant, stripNumber, `${this.seed}:${attempt}:${this.variant.id}`)[ticketIndex];
+        return ticketToCells(this.variant, grid);
+    }
+    
+    // Column-by-column layout: each column is a seeded shuffle of its range
+    generateGridCells(cardNumber, attempt) {
+        const random = createSeededRandom(`${this.seed}:${this.variant.id}:${cardNumber}:${attempt}`);
+        const cells = [];
+        
+        this.variant.columnRanges.forEach(({ min, max }, column) => {
+            const letter = this.variant.labels[column];
+            const numbers = shuffle(
+                Array.from({ length: max - min + 1 }, (_, i) => min + i),
+                random
+            );
+            
+            for (let row = 0; row < this.variant.rows; row++) {
+                // Free space in the middle
+                if (isFreeSpacePosition(this.variant, row, column)) {
+                    cells.push({
+                        letter,
+                        number: 'FREE',
+                        row,
+                        column,
+                        isFreeSpace: true,
+                        isMarked: true // Free space is always marked
+                    });
+                    continue;
+                }
+                
+                cells.push({
+                    letter,
+                    number: numbers[row],
+                    row,
+                    column,
+                    isFreeSpace: false,
+                    isMarked: false
+                });
+            }
+        });
+        
+        return cells;
+    }
+    
+    // Check a card against CARD_RULES and the variant layout
+    // Returns { valid, errors }
+    validateCard(card) {
+        const cells = card.numbers || [];
+        const errors = [];
+        const { rows, columns, columnRanges } = this.variant;
+        const positions = new Set();
+        const seen = new Set();
+        
+        cells.forEach(cell => {
+            const position = `${cell.row}:${cell.column}`;
+            
+            if (cell.row < 0 || cell.row >= rows || cell.column < 0 || cell.column >= columns) {
+                errors.push(`Cell ${position} is outside the ${rows}x${columns} card`);
+                return;
+            }
+            if (positions.has(position)) {
+                errors.push(`Cell ${position} appears more than once`);
+            }
+            positions.add(position);
+            
+            if (isFreeSpacePosition(this.variant, cell.row, cell.column)) {
+                if (CARD_RULES.FREE_SPACE && !cell.isFreeSpace) {
+                    errors.push(`Cell ${position} must be the free space`);
+                }
+                return;
+            }
+            if (cell.isFreeSpace) {
+                errors.push(`Cell ${position} is not the free space position`);
+                return;
+            }
+            if (!isNumberCell(cell)) {
+                if (!this.variant.ticketsPerStrip) {
+                    errors.push(`Cell ${position} has no number`);
+                }
+                return;
+            }
+            
+            const range = columnRanges[cell.column];
+            if (CARD_RULES.VALIDATION.COLUMN_RANGE && (cell.number < range.min || cell.number > range.max)) {
+                errors.push(`${cell.number} is outside column ${cell.column + 1} (${range.min}-${range.max})`);
+            }
+            
+            if ((CARD_RULES.VALIDATION.UNIQUE_NUMBERS || CARD_RULES.VALIDATION.NO_DUPLICATES) && seen.has(cell.number)) {
+                errors.push(`${cell.number} appears more than once`);
+            }
+            seen.add(cell.number);
+        });
+        
+        if (positions.size !== rows * columns) {
+            errors.push(`Expected ${rows * columns} cells, found ${positions.size}`);
+        }
+        
+        // 90-ball tickets: fixed numbers per row, ascending columns
+        if (this.variant.ticketsPerStrip) {
+            for (let row = 0; row < rows; row++) {
+                const count = cells.filter(cell => cell.row === row && isNumberCell(cell)).length;
+                if (count !== this.variant.numbersPerRow) {
+                    errors.push(`Row ${row + 1} has ${count} numbers, expected ${this.variant.numbersPerRow}`);
+                }
+            }
+            for (let column = 0; column < columns; column++) {
+                const numbers = cells
+                    .filter(cell => cell.column === column && isNumberCell(cell))
+                    .sort((a, b) => a.row - b.row)
+                    .map(cell => cell.number);
+                if (numbers.some((number, i) => i > 0 && number < numbers[i - 1])) {
+                    errors.push(`Column ${column + 1} is not in ascending order`);
+                }
+            }
+        }
+        
+        return { valid: errors.length === 0, errors };
+    }
+    
+    // Check every card and that no two cards share a layout
+    // Returns { valid, invalidCards, duplicates }
+    validateDeck(cards) {
+        const invalidCards = [];
+        const duplicates = [];
+        const bySignature = new Map();
+        
+        cards.forEach(card => {
+            const { valid, errors } = this.validateCard(card);
+            if (!valid) {
+                invalidCards.push({ cardNumber: card.cardNumber, errors });
+            }
+            
+            const signature = getCardSignature(card.numbers);
+            if (bySignature.has(signature)) {
+                duplicates.push([bySignature.get(signature), card.cardNumber]);
+            } else {
+                bySignature.set(signature, card.cardNumber);
+            }
+        });
+        
+        return {
+            valid: invalidCards.length === 0 && duplicates.length === 0,
+            invalidCards,
+            duplicates
+        };
+    }
+}
+
+// One shared generator per variant so every module deals from the same deck
+const generators = new Map();
+
+// Get the shared generator for a variant
+export function getCardGenerator(variantId = CONFIG.DEFAULT_VARIANT) {
+    if (!generators.has(variantId)) {
+        generators.set(variantId, new CardGenerator(variantId));
+    }
+    return generators.get(variantId);
+}
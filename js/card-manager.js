@@ -1,11 +1,158 @@
 // Card Manager - Handles card data and operations
-import { CONFIG, CARD_RULES } from './config.js';
+import { CONFIG } from './config.js';
+import { getVariant, isNumberCell } from './bingo-variants.js';
+import { getCardGenerator, getDeckMismatches, getCardSignature } from './card-generator.js';
+import {
+    DECK_FORMATS,
+    parseDeckCSV,
+    parseDeckJSON,
+    valuesToCells,
+    formatDeckCSV,
+    formatDeckJSON
+} from './deck-format.js';
+import { CardSearch } from './card-search.js';
+import { CardRecommender } from './card-recommender.js';
+import { generateSeed } from './seeded-random.js';
+import { CardCache } from './card-cache.js';
 
 export class CardManager {
-    constructor() {
-        this.cardsCache = new Map();
+    constructor(variantId = CONFIG.DEFAULT_VARIANT) {
+        this.variant = getVariant(variantId);
+        this.cardsCache = new CardCache(this.variant.id);
+        this.pendingCards = new Map(); // cardNumber -> promise of a getCardData under way
+        this.batchQueue = new Map(); // cardNumber -> { resolve, reject } waiting for the next batch
+        this.batchTimer = null;
+        this.activeRequests = 0;
+        this.requestQueue = []; // Requests waiting for a free slot
         this.availableCardsCache = null;
         this.cacheTimestamp = null;
+        this.cardSearch = null;  // Built from the deck on first search
+        this.recommender = null; // Built from the deck on first recommendation
+        this.playerId = null;
+        this.reservations = new Map(); // cardNumber -> expiresAt of this player's holds
+        this.reservedCards = new Map(); // cardNumber -> expiresAt of other players' holds
+        this.loadImportedDeck();
+    }
+    
+    // Switch the variant used to lay out cards
+    setVariant(variantId) {
+        if (variantId === this.variant.id) return;
+        
+        this.flushCardBatch(); // Queued cards are requested for the variant they were asked for
+        this.pendingCards.clear();
+        this.variant = getVariant(variantId);
+        this.cardsCache.setScope(this.variant.id); // Cached layouts belong to the old variant
+        this.clearDeckIndexes();
+        this.reservations.clear(); // Holds are per variant
+        this.reservedCards.clear();
+        this.loadImportedDeck();
+    }
+    
+    // Storage key for this variant's imported deck
+    getImportedDeckKey() {
+        return `${CONFIG.STORAGE_KEYS.IMPORTED_DECK}_${this.variant.id}`;
+    }
+    
+    // Import a physical deck (one row per card) in place of the generated cards
+    // Nothing is imported unless every row passes CARD_RULES
+    // Returns { imported, errors: [{ row, cardNumber, errors }] }
+    importDeck(text, format = DECK_FORMATS.CSV, { persist = true } = {}) {
+        const generator = getCardGenerator(this.variant.id);
+        const errors = [];
+        const cards = [];
+        const rowsByCard = new Map();
+        const rowsByLayout = new Map();
+        let rows;
+        
+        try {
+            rows = format === DECK_FORMATS.JSON ? parseDeckJSON(text) : parseDeckCSV(text);
+        } catch (error) {
+            return { imported: 0, errors: [{ row: null, cardNumber: null, errors: [error.message] }] };
+        }
+        
+        if (rows.length === 0) {
+            return { imported: 0, errors: [{ row: null, cardNumber: null, errors: ['The deck has no cards'] }] };
+        }
+        
+        rows.forEach(({ row, cardNumber: rawNumber, values }) => {
+            const cardNumber = Number(rawNumber);
+            const rowErrors = [];
+            
+            if (!Number.isInteger(cardNumber) || !this.isValidCardNumber(cardNumber)) {
+                rowErrors.push(`Card number "${rawNumber}" must be ${CONFIG.MIN_CARDS}-${CONFIG.MAX_CARDS}`);
+            } else if (rowsByCard.has(cardNumber)) {
+                rowErrors.push(`Card ${cardNumber} is already defined on row ${rowsByCard.get(cardNumber)}`);
+            } else {
+                rowsByCard.set(cardNumber, row);
+            }
+            
+            const { numbers, errors: cellErrors } = valuesToCells(this.variant, values);
+            rowErrors.push(...cellErrors);
+            
+            if (cellErrors.length === 0) {
+                rowErrors.push(...generator.validateCard({ numbers }).errors);
+                
+                // No two cards may share a layout
+                const signature = getCardSignature(numbers);
+                if (rowsByLayout.has(signature)) {
+                    rowErrors.push(`Same numbers as row ${rowsByLayout.get(signature)}`);
+                } else {
+                    rowsByLayout.set(signature, row);
+                }
+            }
+            
+            if (rowErrors.length > 0) {
+                errors.push({ row, cardNumber: rawNumber, errors: rowErrors });
+            } else {
+                cards.push({ cardNumber, numbers });
+            }
+        });
+        
+        if (errors.length > 0) {
+            return { imported: 0, errors };
+        }
+        
+        generator.loadDeck(cards);
+        this.cardsCache.clear({ persisted: persist }); // Reloading the saved deck keeps its cards
+        this.clearDeckIndexes();
+        
+        if (persist) {
+            localStorage.setItem(this.getImportedDeckKey(), formatDeckJSON(this.variant, cards));
+        }
+        
+        return { imported: cards.length, errors: [] };
+    }
+    
+    // Reload a previously imported deck for the current variant
+    loadImportedDeck() {
+        const saved = localStorage.getItem(this.getImportedDeckKey());
+        if (!saved) return;
+        
+        const result = this.importDeck(saved, DECK_FORMATS.JSON, { persist: false });
+        if (result.errors.length > 0) {
+            console.error('Saved deck no longer passes validation:', result.errors);
+        }
+    }
+    
+    // Drop the imported deck and go back to generated cards
+    clearImportedDeck() {
+        localStorage.removeItem(this.getImportedDeckKey());
+        getCardGenerator(this.variant.id).resetDeck();
+        this.cardsCache.clear();
+        this.clearDeckIndexes();
+    }
+    
+    // Export every card in the deck so printed and digital cards match
+    async exportDeck(format = DECK_FORMATS.CSV) {
+        const generator = getCardGenerator(this.variant.id);
+        const cards = this.generateAllCardNumbers().map(cardNumber => ({
+            cardNumber,
+            numbers: generator.generateCells(cardNumber)
+        }));
+        
+        return format === DECK_FORMATS.JSON
+            ? formatDeckJSON(this.variant, cards, await generator.getFingerprint())
+            : formatDeckCSV(this.variant, cards);
     }
     
     // Get available cards (1-400)
@@ -59,6 +206,57 @@ export class CardManager {
         }
     }
     
+    // Store the available cards and restart the cache lifetime
+    setAvailableCards(cardNumbers) {
+        this.availableCardsCache = Array.from(cardNumbers).sort((a, b) => a - b);
+        this.cacheTimestamp = Date.now();
+        
+        localStorage.setItem('available_cards_cache', JSON.stringify({
+            cards: this.availableCardsCache,
+            timestamp: this.cacheTimestamp
+        }));
+    }
+    
+    // Apply a live availability update (cards taken or released)
+    // Returns the card numbers whose availability changed
+    updateCardAvailability(cardNumbers, isAvailable) {
+        const available = new Set(this.availableCardsCache || this.generateAllCardNumbers());
+        const changed = cardNumbers.filter(cardNumber =>
+            this.isValidCardNumber(cardNumber) && available.has(cardNumber) !== isAvailable
+        );
+        
+        changed.forEach(cardNumber => {
+            if (isAvailable) {
+                available.add(cardNumber);
+            } else {
+                available.delete(cardNumber);
+                this.reservedCards.delete(cardNumber); // Taken outright
+            }
+            
+            const cached = this.cardsCache.get(cardNumber);
+            if (cached) {
+                cached.isAvailable = isAvailable;
+            }
+        });
+        
+        if (changed.length > 0) {
+            this.setAvailableCards(available);
+        }
+        return changed;
+    }
+    
+    // Replace availability with a full list of available cards
+    // Returns { taken, released } card numbers that changed
+    replaceAvailableCards(cardNumbers) {
+        const next = new Set(cardNumbers.filter(cardNumber => this.isValidCardNumber(cardNumber)));
+        const current = this.availableCardsCache || this.generateAllCardNumbers();
+        
+        const taken = this.updateCardAvailability(current.filter(cardNumber => !next.has(cardNumber)), false);
+        const released = this.updateCardAvailability(Array.from(next), true);
+        this.setAvailableCards(next);
+        return { taken, released };
+    }
+    
     // Get card data by number
     async getCardData(cardNumber) {
         // Validate card number
@@ -71,43 +269,161 @@ export class CardManager {
             return this.cardsCache.get(cardNumber);
         }
         
+        // Share a request already under way for the same card
+        if (this.pendingCards.has(cardNumber)) {
+            return this.pendingCards.get(cardNumber);
+        }
+        
+        const request = this.loadCardData(cardNumber).finally(() => {
+            if (this.pendingCards.get(cardNumber) === request) {
+                this.pendingCards.delete(cardNumber);
+            }
+        });
+        this.pendingCards.set(cardNumber, request);
+        return request;
+    }
+    
+    // Scope the card cache to the deck cards are dealt from, so another deck's cards are never served
+    // Returns false if the variant changed meanwhile
+    async useDeckCacheScope(variantId = this.variant.id) {
+        const { hash } = await getCardGenerator(variantId).getFingerprint();
+        if (this.variant.id !== variantId) return false;
+        
+        this.cardsCache.setScope(`${variantId}:${hash}`);
+        return true;
+    }
+    
+    // Load a card from IndexedDB, the server (batched) or the local generator
+    async loadCardData(cardNumber) {
+        const variantId = this.variant.id;
+        
+        const stored = await this.useDeckCacheScope(variantId) ? await this.cardsCache.load(cardNumber) : null;
+        if (stored) {
+            // Availability may have changed since the card was stored
+            if (this.availableCardsCache) {
+                stored.isAvailable = this.availableCardsCache.includes(cardNumber);
+            }
+            return stored;
+        }
+        
+        // Only cache cards for the variant they were asked for
+        const cache = (cardData, options) => {
+            if (this.variant.id === variantId) {
+                this.cardsCache.set(cardNumber, cardData, options);
+            }
+        };
+        
         try {
-            let cardData;
-            
-            if (navigator.onLine) {
-                // Fetch from server
-                const response = await fetch(
-                    `${CONFIG.API_BASE_URL}${CONFIG.API_ENDPOINTS.GET_CARD}/${cardNumber}`
-                );
-                
-                if (!response.ok) {
-                    if (response.status === 404) {
-                        return this.generateCardData(cardNumber, false);
-                    }
-                    throw new Error('Failed to fetch card data');
-                }
-                
-                cardData = await response.json();
-            } else {
+            if (!navigator.onLine) {
                 // Generate card data locally for offline mode
-                cardData = this.generateCardData(cardNumber, true);
+                const cardData = this.generateCardData(cardNumber, true);
+                cache(cardData, { persist: false });
+                return cardData;
             }
             
-            // Cache the data
-            this.cardsCache.set(cardNumber, cardData);
+            if (this.isImportedDeck()) {
+                // The server deals its own deck; imported cards only exist here
+                const available = !this.availableCardsCache || this.availableCardsCache.includes(cardNumber);
+                const cardData = this.generateCardData(cardNumber, available);
+                cache(cardData, { persist: false });
+                return cardData;
+            }
+            
+            // Fetch from server, together with other cards asked for around the same time
+            const cardData = await this.requestBatchedCard(cardNumber, variantId);
+            if (!cardData) {
+                return this.generateCardData(cardNumber, false); // Not on the server
+            }
             
+            cache(cardData);
             return cardData;
         } catch (error) {
             console.error(`Error fetching card ${cardNumber}:`, error);
             
             // Generate fallback card data
             const fallbackData = this.generateCardData(cardNumber, false);
-            this.cardsCache.set(cardNumber, fallbackData);
+            cache(fallbackData, { persist: false });
             
             return fallbackData;
         }
     }
     
+    // Queue a card for the next batched request
+    // Resolves with the card's data, or null if the server doesn't have it
+    requestBatchedCard(cardNumber, variantId = this.variant.id) {
+        // The variant changed while the card was looked up; the batch is for the new one
+        if (variantId !== this.variant.id) {
+            return this.limitConcurrency(() => this.fetchCards([cardNumber], variantId))
+                .then(cards => cards.get(cardNumber) || null);
+        }
+        
+        return new Promise((resolve, reject) => {
+            this.batchQueue.set(cardNumber, { resolve, reject });
+            
+            if (this.batchQueue.size >= CONFIG.CARD_BATCH.MAX_SIZE) {
+                this.flushCardBatch();
+            } else if (!this.batchTimer) {
+                this.batchTimer = setTimeout(() => this.flushCardBatch(), CONFIG.CARD_BATCH.DELAY);
+            }
+        });
+    }
+    
+    // Send the queued cards as one request
+    flushCardBatch() {
+        clearTimeout(this.batchTimer);
+        this.batchTimer = null;
+        if (this.batchQueue.size === 0) return;
+        
+        const batch = this.batchQueue;
+        const variantId = this.variant.id;
+        this.batchQueue = new Map();
+        
+        this.limitConcurrency(() => this.fetchCards(Array.from(batch.keys()), variantId))
+            .then(cards => {
+                batch.forEach(({ resolve }, cardNumber) => resolve(cards.get(cardNumber) || null));
+            })
+            .catch(error => {
+                batch.forEach(({ reject }) => reject(error));
+            });
+    }
+    
+    // Run a request once fewer than CARD_BATCH.MAX_CONCURRENT are in flight
+    async limitConcurrency(request) {
+        while (this.activeRequests >= CONFIG.CARD_BATCH.MAX_CONCURRENT) {
+            await new Promise(resolve => this.requestQueue.push(resolve));
+        }
+        
+        this.activeRequests++;
+        try {
+            return await request();
+        } finally {
+            this.activeRequests--;
+            const next = this.requestQueue.shift();
+            if (next) next();
+        }
+    }
+    
+    // Fetch several cards in one request
+    // Returns Map of cardNumber -> card data; cards the server doesn't have are missing
+    async fetchCards(cardNumbers, variantId = this.variant.id) {
+        const response = await fetch(
+            `${CONFIG.API_BASE_URL}${CONFIG.API_ENDPOINTS.GET_CARDS}?ids=${cardNumbers.join(',')}&variant=${variantId}`
+        );
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch card data');
+        }
+        
+        const data = await response.json();
+        const cards = Array.isArray(data) ? data : (data.cards || []);
+        
+        // Server cards don't always say which variant they belong to; they are laid out by it
+        return new Map(cards.map(cardData => [
+            parseInt(cardData.cardNumber, 10),
+            { ...cardData, variant: cardData.variant || variantId }
+        ]));
+    }
+    
     // Validate multiple cards
     async validateCards(cardNumbers) {
         if (!cardNumbers || cardNumbers.length === 0) {
@@ -124,7 +440,10 @@ export class CardManager {
                         headers: {
                             'Content-Type': 'application/json'
                         },
-                        body: JSON.stringify({ cardNumbers })
+                        body: JSON.stringify({
+                            cardNumbers,
+                            deck: await this.getDeckFingerprint()
+                        })
                     }
                 );
                 
@@ -155,53 +474,304 @@ export class CardManager {
         }
     }
     
+    // Check if the current variant plays an imported (physical) deck
+    isImportedDeck() {
+        return getCardGenerator(this.variant.id).source === 'imported';
+    }
+    
+    // Fingerprint of the deck this client deals cards from
+    getDeckFingerprint() {
+        return getCardGenerator(this.variant.id).getFingerprint();
+    }
+    
+    // Compare the client deck with the server's so a card number means the same card on both
+    // Returns { match, client, server, mismatches }; match is null when the server can't be asked
+    async checkDeck() {
+        const client = await this.getDeckFingerprint();
+        
+        if (!navigator.onLine) {
+            return { match: null, client, server: null, mismatches: [] };
+        }
+        
+        try {
+            const response = await fetch(
+                `${CONFIG.API_BASE_URL}${CONFIG.API_ENDPOINTS.DECK}/${this.variant.id}`
+            );
+            
+            if (!response.ok) {
+                throw new Error('Failed to fetch deck fingerprint');
+            }
+            
+            const server = await response.json();
+            const mismatches = getDeckMismatches(client, server);
+            
+            if (mismatches.length > 0) {
+                console.warn(`Client deck differs from server deck (${mismatches.join(', ')})`, { client, server });
+                
+                // Stored cards may be the server's old deck; fetch them again
+                if (await this.useDeckCacheScope(client.variant)) {
+                    this.cardsCache.clear();
+                }
+            }
+            
+            return { match: mismatches.length === 0, client, server, mismatches };
+        } catch (error) {
+            console.error('Error checking deck fingerprint:', error);
+            return { match: null, client, server: null, mismatches: [] };
+        }
+    }
+    
+    // Id holds are placed under: the Telegram user, or one id per browser tab
+    getPlayerId() {
+        if (!this.playerId) {
+            this.playerId = sessionStorage.getItem(CONFIG.STORAGE_KEYS.PLAYER_ID) || `guest-${generateSeed(8)}`;
+            sessionStorage.setItem(CONFIG.STORAGE_KEYS.PLAYER_ID, this.playerId);
+        }
+        return this.playerId;
+    }
+    
+    // Place holds under a known player id
+    setPlayerId(playerId) {
+        this.playerId = String(playerId);
+    }
+    
+    // URL of this variant's reservations
+    getReservationsUrl() {
+        return `${CONFIG.API_BASE_URL}${CONFIG.API_ENDPOINTS.RESERVATIONS}/${this.variant.id}`;
+    }
+    
+    // Hold cards without asking the server
+    holdLocally(cardNumbers) {
+        const expiresAt = Date.now() + CONFIG.RESERVATION.TTL;
+        cardNumbers.forEach(cardNumber => this.reservations.set(cardNumber, expiresAt));
+        return { held: cardNumbers, rejected: [] };
+    }
+    
+    // Place or renew holds on cards so other players can't select them
+    // Returns { held, rejected } card numbers; rejected cards are held by someone else
+    async reserveCards(cardNumbers) {
+        cardNumbers = Array.from(cardNumbers);
+        if (cardNumbers.length === 0) {
+            return { held: [], rejected: [] };
+        }
+        
+        if (!navigator.onLine) {
+            // Nobody can take a card from us offline; validateCards settles it later
+            return this.holdLocally(cardNumbers);
+        }
+        
+        try {
+            const response = await fetch(this.getReservationsUrl(), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    playerId: this.getPlayerId(),
+                    cardNumbers,
+                    ttl: CONFIG.RESERVATION.TTL
+                })
+            });
+            
+            if (!response.ok) {
+                throw new Error('Failed to reserve cards');
+            }
+            
+            const { held, rejected } = await response.json();
+            held.forEach(({ cardNumber, expiresAt }) => {
+                this.reservations.set(cardNumber, expiresAt);
+                this.reservedCards.delete(cardNumber);
+            });
+            rejected.forEach(({ cardNumber, expiresAt }) => {
+                this.reservations.delete(cardNumber);
+                this.reservedCards.set(cardNumber, expiresAt);
+            });
+            
+            return {
+                held: held.map(hold => hold.cardNumber),
+                rejected: rejected.map(hold => hold.cardNumber)
+            };
+        } catch (error) {
+            console.error('Error reserving cards:', error);
+            
+            // Keep selecting without a server hold; validateCards still catches conflicts
+            return this.holdLocally(cardNumbers);
+        }
+    }
+    
+    // Release this player's holds (all of them by default)
+    // keepalive: let the request finish while the page unloads
+    async releaseCards(cardNumbers = Array.from(this.reservations.keys()), { keepalive = false } = {}) {
+        cardNumbers = Array.from(cardNumbers).filter(cardNumber => this.reservations.has(cardNumber));
+        if (cardNumbers.length === 0) return;
+        
+        const url = this.getReservationsUrl();
+        cardNumbers.forEach(cardNumber => this.reservations.delete(cardNumber));
+        if (!navigator.onLine) return;
+        
+        try {
+            const response = await fetch(url, {
+                method: 'DELETE',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ playerId: this.getPlayerId(), cardNumbers }),
+                keepalive
+            });
+            
+            if (!response.ok) {
+                throw new Error('Failed to release cards');
+            }
+        } catch (error) {
+            // Holds run out on their own
+            console.warn('Error releasing cards:', error);
+        }
+    }
+    
+    // This player's holds that have run out
+    getExpiredReservations(now = Date.now()) {
+        const expired = [];
+        this.reservations.forEach((expiresAt, cardNumber) => {
+            if (expiresAt <= now) expired.push(cardNumber);
+        });
+        return expired;
+    }
+    
+    // Cards other players are holding
+    // Returns Map of cardNumber -> expiresAt; the last known holds if the server can't be asked
+    async getReservedCards() {
+        if (!navigator.onLine) {
+            return this.reservedCards;
+        }
+        
+        try {
+            const response = await fetch(this.getReservationsUrl());
+            
+            if (!response.ok) {
+                throw new Error('Failed to fetch reservations');
+            }
+            
+            const { reservations } = await response.json();
+            const playerId = this.getPlayerId();
+            
+            this.reservedCards = new Map(reservations
+                .filter(hold => hold.playerId !== playerId)
+                .map(hold => [hold.cardNumber, hold.expiresAt]));
+        } catch (error) {
+            console.error('Error fetching reservations:', error);
+        }
+        
+        // Drop holds that ran out since they were fetched
+        const now = Date.now();
+        this.reservedCards.forEach((expiresAt, cardNumber) => {
+            if (expiresAt <= now) this.reservedCards.delete(cardNumber);
+        });
+        return this.reservedCards;
+    }
+    
+    // Whether another player holds a card
+    isReservedByOther(cardNumber) {
+        const expiresAt = this.reservedCards.get(cardNumber);
+        return expiresAt !== undefined && expiresAt > Date.now();
+    }
+    
+    // Drop indexes built from the deck; they are rebuilt on next use
+    clearDeckIndexes() {
+        this.cardSearch = null;
+        this.recommender = null;
+    }
+    
+    // Coverage recommender for the current deck
+    getRecommender() {
+        if (!this.recommender) {
+            this.recommender = CardRecommender.fromGenerator(getCardGenerator(this.variant.id));
+        }
+        return this.recommender;
+    }
+    
+    // Distinct numbers covered by a set of cards
+    // Returns { cards, distinct, ballCount, percent, overlap }
+    getCoverage(cardNumbers) {
+        return this.getRecommender().getCoverage(Array.from(cardNumbers));
+    }
+    
+    // Recommender options; cards other players hold are never suggested
+    getRecommendOptions(options) {
+        return { isExcluded: cardNumber => this.isReservedByOther(cardNumber), ...options };
+    }
+    
+    // Suggest the card that adds the most coverage to a selection
+    // options.strategy: RECOMMEND_STRATEGIES value
+    recommendNextCard(availableCards, selectedCards, options = {}) {
+        return this.getRecommender().recommendNext(availableCards, selectedCards, this.getRecommendOptions(options));
+    }
+    
+    // Complete a selection to CONFIG.MAX_SELECTION cards with the best coverage
+    recommendCardSet(availableCards, selectedCards, options = {}) {
+        return this.getRecommender().recommendSet(availableCards, selectedCards, this.getRecommendOptions(options));
+    }
+    
+    // Random, well-spread set of cards
+    quickPick(availableCards, options = {}) {
+        return this.getRecommender().quickPick(availableCards, this.getRecommendOptions(options));
+    }
+    
+    // Cards to show side by side, with how many of them hold each number
+    // Returns { variant, cards, counts, coverage }; counts[number] is the number of cards containing it
+    async compareCards(cardNumbers) {
+        const cards = await Promise.all(cardNumbers.map(async cardNumber => ({
+            ...await this.getCardData(cardNumber),
+            cardNumber
+        })));
+        
+        const counts = new Array(this.variant.ballCount + 1).fill(0);
+        cards.forEach(cardData => {
+            cardData.numbers.filter(isNumberCell).forEach(cell => counts[cell.number]++);
+        });
+        
+        const distinct = counts.filter(count => count > 0).length;
+        return {
+            variant: this.variant,
+            cards,
+            counts,
+            coverage: {
+                cards: cards.length,
+                distinct,
+                ballCount: this.variant.ballCount,
+                percent: Math.round(distinct / this.variant.ballCount * 100),
+                shared: counts.filter(count => count > 1).length
+            }
+        };
+    }
+    
+    // Card numbers matching a search query (see CardSearch); null for an empty query
+    // Throws on a query it cannot parse
+    searchCards(query, context = {}) {
+        if (!this.cardSearch) {
+            this.cardSearch = CardSearch.fromGenerator(getCardGenerator(this.variant.id));
+        }
+        return this.cardSearch.search(query, context);
+    }
+    
     // Generate card data locally
     generateCardData(cardNumber, isAvailable = true) {
         // Use card number as seed for consistent generation
         const seed = cardNumber * 123456789;
         
-        // Generate BINGO card numbers
-        const card = {
+        return {
             cardNumber,
+            variant: this.variant.id,
             isAvailable,
-            numbers: [],
+            numbers: getCardGenerator(this.variant.id).generateCells(cardNumber),
             pattern: this.generateCardPattern(seed),
             createdAt: new Date().toISOString()
         };
-        
-        // Generate numbers for each column
-        CARD_RULES.COLUMNS.forEach((letter, colIndex) => {
-            const columnRules = CARD_RULES[`${letter}_COLUMN`];
-            
-            for (let row = 0; row < 5; row++) {
-                // Free space in the middle (if enabled)
-                if (CARD_RULES.FREE_SPACE && 
-                    row === CARD_RULES.FREE_SPACE_POSITION[0] && 
-                    colIndex === CARD_RULES.FREE_SPACE_POSITION[1]) {
-                    card.numbers.push({
-                        letter,
-                        number: 'FREE',
-                        row,
-                        column: colIndex,
-                        isFreeSpace: true
-                    });
-                    continue;
-                }
-                
-                // Generate unique number for this position
-                const number = this.generateColumnNumber(seed, cardNumber, colIndex, row, columnRules);
-                
-                card.numbers.push({
-                    letter,
-                    number,
-                    row,
-                    column: colIndex,
-                    isMarked: false
-                });
-            }
-        });
-        
-        return card;
+    }
+    
+    // Check a card's layout against CARD_RULES
+    // Returns { valid, errors }
+    validateCard(cardData) {
+        return getCardGenerator(this.variant.id).validateCard(cardData);
     }
     
     // Generate card pattern based on seed
@@ -211,16 +781,6 @@ export class CardManager {
         return patterns[patternIndex];
     }
     
-    // Generate column number
-    generateColumnNumber(seed, cardNumber, columnIndex, rowIndex, columnRules) {
-        // Create a deterministic but varied number based on inputs
-        const base = seed + (cardNumber * 100) + (columnIndex * 10) + rowIndex;
-        const range = columnRules.max - columnRules.min + 1;
-        const number = columnRules.min + (Math.abs(base) % range);
-        
-        return number;
-    }
-    
     // Generate all card numbers (1-400)
     generateAllCardNumbers() {
         const cards = [];
@@ -250,7 +810,7 @@ export class CardManager {
         return this.cardsCache.get(cardNumber);
     }
     
-    // Preload cards (for better UX)
+    // Preload cards (for better UX); getCardData batches the requests
     async preloadCards(cardNumbers) {
         const promises = cardNumbers.map(cardNumber => 
             this.getCardData(cardNumber).catch(() => null)
@@ -0,0 +1,183 @@
+// Card Recommender - Suggest cards so a selection covers as many numbers as possible
+import { CONFIG } from './config.js';
+import { isNumberCell } from './bingo-variants.js';
+import { createSeededRandom, shuffle, generateSeed } from './seeded-random.js';
+
+export const RECOMMEND_STRATEGIES = {
+    MAX_COVERAGE: 'max_coverage', // Most distinct numbers
+    MIN_OVERLAP: 'min_overlap'    // Fewest numbers shared between pairs of cards
+};
+
+// Improvement passes over a recommended set
+const MAX_SWAP_PASSES = 3;
+
+export class CardRecommender {
+    // cards: Map of cardNumber -> numbers on the card
+    constructor(variant, cards) {
+        this.variant = variant;
+        this.cards = cards;
+    }
+    
+    // Build from every card a CardGenerator deals
+    static fromGenerator(generator) {
+        const cards = new Map();
+        for (let cardNumber = CONFIG.MIN_CARDS; cardNumber <= CONFIG.MAX_CARDS; cardNumber++) {
+            cards.set(cardNumber, generator.generateCells(cardNumber).filter(isNumberCell).map(cell => cell.number));
+        }
+        return new CardRecommender(generator.variant, cards);
+    }
+    
+    // How many times each number appears across a set of cards
+    countNumbers(cardNumbers) {
+        const counts = new Array(this.variant.ballCount + 1).fill(0);
+        cardNumbers.forEach(cardNumber => {
+            (this.cards.get(cardNumber) || []).forEach(number => counts[number]++);
+        });
+        return counts;
+    }
+    
+    // Coverage of a set of cards
+    // Returns { cards, distinct, ballCount, percent, overlap }; overlap counts numbers shared by pairs of cards
+    getCoverage(cardNumbers) {
+        const counts = this.countNumbers(cardNumbers);
+        let distinct = 0;
+        let overlap = 0;
+        
+        counts.forEach(count => {
+            if (count > 0) distinct++;
+            overlap += count * (count - 1) / 2;
+        });
+        
+        return {
+            cards: cardNumbers.length,
+            distinct,
+            ballCount: this.variant.ballCount,
+            percent: Math.round(distinct / this.variant.ballCount * 100),
+            overlap
+        };
+    }
+    
+    // Score of adding a card to the counted set: [primary, secondary], higher is better
+    scoreCard(counts, cardNumber, strategy) {
+        let gain = 0;
+        let shared = 0;
+        
+        this.cards.get(cardNumber).forEach(number => {
+            if (counts[number] === 0) gain++;
+            shared += counts[number];
+        });
+        
+        return strategy === RECOMMEND_STRATEGIES.MIN_OVERLAP ? [-shared, gain] : [gain, -shared];
+    }
+    
+    // Score of a whole set, comparable with scoreCard's order
+    scoreSet(cardNumbers, strategy) {
+        const { distinct, overlap } = this.getCoverage(cardNumbers);
+        return strategy === RECOMMEND_STRATEGIES.MIN_OVERLAP ? [-overlap, distinct] : [distinct, -overlap];
+    }
+    
+    // Compare two scores
+    isBetter(a, b) {
+        return !b || a[0] > b[0] || (a[0] === b[0] && a[1] > b[1]);
+    }
+    
+    // Cards that could still be added
+    // isExcluded: cardNumber => true for cards that can't be picked (e.g. held by another player)
+    getCandidates(availableCards, selectedCards, isExcluded = () => false) {
+        const selected = new Set(selectedCards);
+        const available = availableCards ? Array.from(availableCards) : Array.from(this.cards.keys());
+        return available.filter(cardNumber =>
+            this.cards.has(cardNumber) && !selected.has(cardNumber) && !isExcluded(cardNumber)
+        );
+    }
+    
+    // Best card to add to a selection
+    // candidates are tried in order, so the first of equally good cards wins
+    pickNext(candidates, selected, strategy) {
+        const counts = this.countNumbers(selected);
+        let best = null;
+        let bestScore = null;
+        
+        candidates.forEach(cardNumber => {
+            if (selected.includes(cardNumber)) return;
+            
+            const score = this.scoreCard(counts, cardNumber, strategy);
+            if (this.isBetter(score, bestScore)) {
+                best = cardNumber;
+                bestScore = score;
+            }
+        });
+        
+        return best;
+    }
+    
+    // Suggest the next card for a selection
+    // Returns { cardNumber, newNumbers, coverage } or null when nothing is left to add
+    recommendNext(availableCards, selectedCards, { strategy = RECOMMEND_STRATEGIES.MAX_COVERAGE, isExcluded } = {}) {
+        const selected = Array.from(selectedCards);
+        const cardNumber = this.pickNext(this.getCandidates(availableCards, selected, isExcluded), selected, strategy);
+        if (cardNumber === null) return null;
+        
+        const before = this.getCoverage(selected);
+        const coverage = this.getCoverage([...selected, cardNumber]);
+        return { cardNumber, newNumbers: coverage.distinct - before.distinct, coverage };
+    }
+    
+    // Complete a selection up to `size` cards; cards already selected are kept
+    // Returns { cards, added, coverage }
+    recommendSet(availableCards, selectedCards, {
+        strategy = RECOMMEND_STRATEGIES.MAX_COVERAGE,
+        size = CONFIG.MAX_SELECTION,
+        random = null,
+        isExcluded
+    } = {}) {
+        const kept = Array.from(selectedCards);
+        let candidates = this.getCandidates(availableCards, kept, isExcluded);
+        if (random) {
+            candidates = shuffle(candidates, random); // Random order breaks ties randomly
+        }
+        
+        // Greedy fill
+        const added = [];
+        while (kept.length + added.length < size) {
+            const next = this.pickNext(candidates, [...kept, ...added], strategy);
+            if (next === null) break;
+            added.push(next);
+        }
+        
+        // Swap added cards for better ones until nothing improves
+        for (let pass = 0; pass < MAX_SWAP_PASSES; pass++) {
+            let improved = false;
+            
+            added.forEach((current, index) => {
+                const others = [...kept, ...added.filter((_, i) => i !== index)];
+                const replacement = this.pickNext(candidates, others, strategy);
+                
+                if (replacement !== null && replacement !== current &&
+                    this.isBetter(this.scoreSet([...others, replacement], strategy), this.scoreSet([...others, current], strategy))) {
+                    added[index] = replacement;
+                    improved = true;
+                }
+            });
+            
+            if (!improved) break;
+        }
+        
+        const cards = [...kept, ...added];
+        return { cards, added, coverage: this.getCoverage(cards) };
+    }
+    
+    // Quick pick: a random but well-spread set of `size` cards
+    // seed: makes the pick reproducible (random if omitted)
+    quickPick(availableCards, { size = CONFIG.MAX_SELECTION, seed = generateSeed(8), isExcluded } = {}) {
+        const random = createSeededRandom(seed);
+        const candidates = shuffle(this.getCandidates(availableCards, [], isExcluded), random);
+        if (candidates.length === 0) {
+            return { cards: [], added: [], coverage: this.getCoverage([]) };
+        }
+        
+        // Random first card, the rest chosen for coverage
+        const result = this.recommendSet(candidates, [candidates[0]], { size, random });
+        return { ...result, added: result.cards };
+    }
+}
@@ -0,0 +1,180 @@
+// Card Search - Query language for the card search box, backed by an index of the deck
+//
+//   57          card 57 (57,60 for several cards)
+//   100-150     cards 100 to 150
+//   has:7,22    cards containing every listed number
+//   N:44        cards with 44 in the N column (N:40-45 for any number in a range;
+//               c3:44 addresses columns by position)
+//   is:available / is:unavailable / is:selected
+//   -term       cards not matching a term
+//
+// Terms separated by spaces must all match.
+import { CONFIG } from './config.js';
+import { isNumberCell } from './bingo-variants.js';
+
+// Parse "a" or "a-b" into an inclusive range
+function parseRange(text) {
+    const match = /^(\d+)(?:-(\d+))?$/.exec(text);
+    if (!match) return null;
+    
+    const min = parseInt(match[1], 10);
+    const max = match[2] === undefined ? min : parseInt(match[2], 10);
+    return min <= max ? { min, max } : null;
+}
+
+// Parse a comma-separated list of numbers
+function parseList(text) {
+    const values = text.split(',').map(value => value.trim());
+    return values.every(value => /^\d+$/.test(value)) ? values.map(value => parseInt(value, 10)) : null;
+}
+
+export class CardSearch {
+    // cards: [{ cardNumber, numbers }] for the whole deck
+    constructor(variant, cards) {
+        this.variant = variant;
+        this.cardNumbers = cards.map(card => card.cardNumber);
+        this.numberIndex = new Map(); // number -> Set of card numbers
+        this.columnIndex = new Map(); // `${column}:${number}` -> Set of card numbers
+        
+        cards.forEach(({ cardNumber, numbers }) => {
+            numbers.filter(isNumberCell).forEach(cell => {
+                this.addToIndex(this.numberIndex, cell.number, cardNumber);
+                this.addToIndex(this.columnIndex, `${cell.column}:${cell.number}`, cardNumber);
+            });
+        });
+    }
+    
+    // Build the index from every card a CardGenerator deals
+    static fromGenerator(generator) {
+        const cards = [];
+        for (let cardNumber = CONFIG.MIN_CARDS; cardNumber <= CONFIG.MAX_CARDS; cardNumber++) {
+            cards.push({ cardNumber, numbers: generator.generateCells(cardNumber) });
+        }
+        return new CardSearch(generator.variant, cards);
+    }
+    
+    // Add a card to an index entry
+    addToIndex(index, key, cardNumber) {
+        if (!index.has(key)) {
+            index.set(key, new Set());
+        }
+        index.get(key).add(cardNumber);
+    }
+    
+    // Column index for a label (B, I, N, G, O) or position (c1, c2, ...)
+    resolveColumn(name) {
+        const position = /^c(\d+)$/i.exec(name);
+        if (position) {
+            const column = parseInt(position[1], 10) - 1;
+            return column >= 0 && column < this.variant.columns ? column : -1;
+        }
+        return this.variant.labels.findIndex(label => label.toLowerCase() === name.toLowerCase());
+    }
+    
+    // Parse a query into terms
+    // Returns [{ negate, type, ... }]; throws on a term it does not understand
+    parse(query) {
+        return query.trim().split(/\s+/).filter(Boolean).map(token => {
+            const negate = token.startsWith('-') && token.length > 1;
+            const text = negate ? token.slice(1) : token;
+            const [key, value] = text.includes(':') ? text.split(/:(.*)/) : [null, text];
+            
+            // Card ids: 57, 57,60 or 100-150
+            if (key === null) {
+                const range = parseRange(text.replace(/^#/, ''));
+                if (range) return { negate, type: 'cards', ...range };
+                
+                const ids = parseList(text.replace(/^#/, ''));
+                if (ids) return { negate, type: 'card_list', ids };
+                
+                throw new Error(`Unknown search term "${token}"`);
+            }
+            
+            if (key.toLowerCase() === 'has') {
+                const numbers = parseList(value);
+                if (!numbers) throw new Error(`"${token}" needs numbers, e.g. has:7,22`);
+                return { negate, type: 'has', numbers };
+            }
+            
+            if (key.toLowerCase() === 'is') {
+                const status = value.toLowerCase();
+                if (!['available', 'unavailable', 'selected'].includes(status)) {
+                    throw new Error(`Unknown status "${value}" (use available, unavailable or selected)`);
+                }
+                return { negate, type: 'status', status };
+            }
+            
+            const column = this.resolveColumn(key);
+            if (column === -1) {
+                throw new Error(`Unknown column "${key}"`);
+            }
+            const range = parseRange(value);
+            const numbers = range ? null : parseList(value);
+            if (!range && !numbers) {
+                throw new Error(`"${token}" needs a number or range, e.g. ${key}:44`);
+            }
+            return { negate, type: 'column', column, range, numbers };
+        });
+    }
+    
+    // Cards matching one term
+    matchTerm(term, { availableCards = null, selectedCards = null }) {
+        switch (term.type) {
+            case 'cards':
+                return new Set(this.cardNumbers.filter(n => n >= term.min && n <= term.max));
+            
+            case 'card_list':
+                return new Set(term.ids);
+            
+            case 'has':
+                return this.intersect(term.numbers.map(number => this.numberIndex.get(number) || new Set()));
+            
+            case 'column': {
+                if (term.numbers) {
+                    return this.intersect(term.numbers.map(number =>
+                        this.columnIndex.get(`${term.column}:${number}`) || new Set()
+                    ));
+                }
+                
+                // Any number of the range in the column
+                const matches = new Set();
+                for (let number = term.range.min; number <= term.range.max; number++) {
+                    (this.columnIndex.get(`${term.column}:${number}`) || []).forEach(n => matches.add(n));
+                }
+                return matches;
+            }
+            
+            case 'status': {
+                if (term.status === 'selected') {
+                    return new Set(selectedCards || []);
+                }
+                const available = new Set(availableCards || this.cardNumbers);
+                return new Set(this.cardNumbers.filter(n =>
+                    available.has(n) === (term.status === 'available')
+                ));
+            }
+        }
+        return new Set();
+    }
+    
+    // Cards in every set
+    intersect(sets) {
+        const [first, ...rest] = sets;
+        return new Set([...first].filter(cardNumber => rest.every(set => set.has(cardNumber))));
+    }
+    
+    // Card numbers matching a query; null when the query is empty (show everything)
+    // context.availableCards / context.selectedCards: for is:available and is:selected
+    search(query, context = {}) {
+        const terms = this.parse(query);
+        if (terms.length === 0) return null;
+        
+        let matches = new Set(this.cardNumbers);
+        terms.forEach(term => {
+            const termMatches = this.matchTerm(term, context);
+            matches = new Set([...matches].filter(cardNumber => termMatches.has(cardNumber) !== term.negate));
+        });
+        
+        return matches;
+    }
+}
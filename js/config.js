@@ -5,15 +5,27 @@ const CONFIG = {
     MAX_CARDS: 400,
     MIN_CARDS: 1,
     MAX_SELECTION: 4, // Maximum cards a user can select
+    MAX_COMPARE: 4, // Cards shown side by side in the comparison view
     BINGO_NUMBERS: 75, // Standard Bingo uses numbers 1-75
+    DEFAULT_VARIANT: 'US_75', // See BINGO_VARIANTS
+    DECK_SEED: 'bingo-deck-v1', // Card layouts are dealt from this seed; changing it reshuffles every card
     
     // API Configuration
     API_BASE_URL: 'https://your-api-endpoint.com/api',
     API_ENDPOINTS: {
-        GET_CARD: '/card',
+        GET_CARDS: '/cards', // ?ids=1,2,3&variant=US_75
         GET_AVAILABLE_CARDS: '/cards/available',
         VALIDATE_CARD: '/card/validate',
-        GAME_STATUS: '/game/status'
+        GAME_STATUS: '/game/status',
+        JACKPOT: '/jackpot',
+        DECK: '/deck',
+        RESERVATIONS: '/reservations'
+    },
+    
+    // Use js/mock-api.js instead of the server for the endpoints it serves
+    MOCK_API: {
+        ENABLED: false,
+        LATENCY: 100 // Simulated response time (ms)
     },
     
     // WebSocket Configuration
@@ -44,7 +56,110 @@ const CONFIG = {
     ANIMATION_DURATION: 300,
     TRANSITION_SPEED: '0.3s',
     
-    // Game Rules
+    // Auto Caller Configuration
+    AUTO_CALL: {
+        ENABLED: true,
+        INTERVAL: 5000, // Time between calls
+        MIN_INTERVAL: 2000,
+        MAX_INTERVAL: 15000,
+        COUNTDOWN_TICK: 1000
+    },
+    
+    // Daubing Configuration
+    DAUB: {
+        MODES: {
+            AUTO: 'auto',     // Called numbers are marked automatically
+            MANUAL: 'manual'  // Players mark cells and call bingo themselves
+        },
+        DEFAULT_MODE: 'auto',
+        PENALTIES: {
+            NONE: 'none',
+            COOLDOWN: 'cooldown',   // No claims for a while
+            LOSE_CARD: 'lose_card'  // Claimed card is out of the game
+        },
+        FALSE_CLAIM_PENALTY: {
+            type: 'cooldown',
+            cooldown: 30000
+        },
+        CLAIM_WINDOW: 4000,        // Claims must be made this soon after a call, before the next ball
+        CLAIM_CHECK_TIMEOUT: 10000 // Longest the caller waits for the server to check a claim
+    },
+    
+    // Prize Configuration
+    PRIZES: {
+        CURRENCY: 'USD',
+        AMOUNTS: {  // Per pattern; stages may set their own amount
+            LINE: 10,
+            ONE_LINE: 10,
+            TWO_LINES: 25,
+            FOUR_CORNERS: 20,
+            CENTER_SQUARE: 20,
+            X: 30,
+            T: 30,
+            L: 30,
+            POSTAGE_STAMP: 25,
+            PICTURE_FRAME: 50,
+            INNER_SQUARE: 40,
+            LETTER_C: 40,
+            LETTER_E: 50,
+            LETTER_H: 50,
+            LETTER_N: 50,
+            LETTER_U: 40,
+            LETTER_Z: 50,
+            BLACKOUT: 100
+        },
+        TIE_POLICIES: {
+            SPLIT_EVEN: 'split_even',         // One share per player
+            SPLIT_PER_CARD: 'split_per_card', // One share per winning card
+            TIEBREAKER: 'tiebreaker'          // Tied cards draw a ball, highest takes all
+        },
+        DEFAULT_TIE_POLICY: 'split_even'
+    },
+    
+    // Progressive Jackpot Configuration
+    JACKPOT: {
+        ENABLED: true,
+        PATTERN: 'BLACKOUT',
+        MAX_CALLS: {  // Pattern must complete within this many calls
+            US_75: 50,
+            UK_90: 50,
+            BALL_80: 45,
+            SPEED_30: 15
+        },
+        SEED_AMOUNT: 500,         // Amount after a win
+        ROLLOVER_INCREMENT: 100,  // Added every game nobody wins it
+        HISTORY_LIMIT: 50,
+        STORAGE_KEY: 'jackpot_ledger'
+    },
+    
+    // Printed Card Sheets
+    PRINT: {
+        CARDS_PER_PAGE: 4,
+        CARD_URL: null,          // Page the QR codes open; defaults to this app
+        FINGERPRINT_LENGTH: 16   // Deck hash characters shown on printed cards
+    },
+    
+    // Card Data Requests (getCardData calls close together share one request)
+    CARD_BATCH: {
+        DELAY: 20,          // Wait this long (ms) for more cards before sending
+        MAX_SIZE: 50,       // Cards per request
+        MAX_CONCURRENT: 4   // Requests in flight at once
+    },
+    
+    // Card bodies kept in IndexedDB across reloads
+    CARD_CACHE: {
+        DB_NAME: 'BingoCardCache',
+        TTL: 24 * 60 * 60 * 1000 // 1 day
+    },
+    
+    // Card Reservations (holds on cards while a player is selecting)
+    RESERVATION: {
+        TTL: 120000,            // A hold lasts this long unless renewed
+        RENEW_INTERVAL: 30000,  // Renew holds and refresh other players' holds this often
+        WARNING_TIME: 30000     // Countdown turns to a warning when this little is left
+    },
+    
+    // Game Rules (ids registered in pattern-registry.js)
     BINGO_PATTERNS: [
         'LINE',     // Horizontal, vertical, or diagonal line
         'FOUR_CORNERS', // All four corners
@@ -56,7 +171,10 @@ const CONFIG = {
         SELECTED_CARDS: 'bingo_selected_cards',
         USER_PREFERENCES: 'bingo_user_prefs',
         GAME_STATE: 'bingo_game_state',
-        AUDIO_SETTINGS: 'bingo_audio_settings'
+        AUDIO_SETTINGS: 'bingo_audio_settings',
+        IMPORTED_DECK: 'bingo_imported_deck', // Suffixed with the variant id
+        PLAYER_ID: 'bingo_player_id', // sessionStorage, so each tab is its own player
+        MOCK_RESERVATIONS: 'bingo_mock_reservations'
     },
     
     // Telegram Web App Configuration
@@ -114,6 +232,86 @@ const CARD_RULES = {
     }
 };
 
+// Bingo Variants - card layout, number ranges and default prize patterns
+const BINGO_VARIANTS = {
+    US_75: {
+        id: 'US_75',
+        name: '75-Ball',
+        ballCount: 75,
+        rows: 5,
+        columns: 5,
+        columnRanges: [
+            { min: 1, max: 15 },
+            { min: 16, max: 30 },
+            { min: 31, max: 45 },
+            { min: 46, max: 60 },
+            { min: 61, max: 75 }
+        ],
+        labels: ['B', 'I', 'N', 'G', 'O'],
+        freeSpace: [2, 2],
+        defaultPatterns: ['LINE', 'FOUR_CORNERS', 'BLACKOUT']
+    },
+    UK_90: {
+        id: 'UK_90',
+        name: '90-Ball',
+        ballCount: 90,
+        rows: 3,
+        columns: 9,
+        columnRanges: [
+            { min: 1, max: 9 },
+            { min: 10, max: 19 },
+            { min: 20, max: 29 },
+            { min: 30, max: 39 },
+            { min: 40, max: 49 },
+            { min: 50, max: 59 },
+            { min: 60, max: 69 },
+            { min: 70, max: 79 },
+            { min: 80, max: 90 }
+        ],
+        labels: ['1-9', '10s', '20s', '30s', '40s', '50s', '60s', '70s', '80s'],
+        freeSpace: null,
+        numbersPerRow: 5,  // The other 4 cells in each row are blank
+        ticketsPerStrip: 6, // A strip of six tickets holds every number once
+        defaultPatterns: ['ONE_LINE', 'TWO_LINES', 'BLACKOUT'],
+        defaultStages: [  // Prizes are played in order, one at a time
+            { pattern: 'ONE_LINE', prize: 'One Line' },
+            { pattern: 'TWO_LINES', prize: 'Two Lines' },
+            { pattern: 'BLACKOUT', prize: 'Full House' }
+        ]
+    },
+    BALL_80: {
+        id: 'BALL_80',
+        name: '80-Ball',
+        ballCount: 80,
+        rows: 4,
+        columns: 4,
+        columnRanges: [
+            { min: 1, max: 20 },
+            { min: 21, max: 40 },
+            { min: 41, max: 60 },
+            { min: 61, max: 80 }
+        ],
+        labels: ['1-20', '21-40', '41-60', '61-80'],
+        freeSpace: null,
+        defaultPatterns: ['LINE', 'FOUR_CORNERS', 'CENTER_SQUARE', 'BLACKOUT']
+    },
+    SPEED_30: {
+        id: 'SPEED_30',
+        name: '30-Ball Speed',
+        ballCount: 30,
+        rows: 3,
+        columns: 3,
+        columnRanges: [
+            { min: 1, max: 10 },
+            { min: 11, max: 20 },
+            { min: 21, max: 30 }
+        ],
+        labels: ['1-10', '11-20', '21-30'],
+        freeSpace: null,
+        defaultPatterns: ['BLACKOUT']
+    }
+};
+
 // Game States
 const GAME_STATES = {
     IDLE: 'idle',
@@ -131,7 +329,11 @@ const ERROR_MESSAGES = {
     NETWORK_ERROR: 'Network error. Please check your connection.',
     GAME_FULL: 'The game is full. Please try again later.',
     INVALID_CARD: 'Invalid card number.',
-    OFFLINE_MODE: 'You are offline. Some features may be limited.'
+    OFFLINE_MODE: 'You are offline. Some features may be limited.',
+    DECK_MISMATCH: 'Your cards are out of date with the server. Please refresh the page.',
+    IMPORTED_DECK_MISMATCH: 'You are playing an imported deck, so its cards differ from the server deck.',
+    PRINTED_DECK_MISMATCH: 'This printed card comes from a different deck than this game uses.',
+    CARD_RESERVED: 'Another player is holding this card. Please select another card.'
 };
 
 // Success Messages
@@ -147,6 +349,7 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         CONFIG,
         CARD_RULES,
+        BINGO_VARIANTS,
         GAME_STATES,
         ERROR_MESSAGES,
         SUCCESS_MESSAGES
@@ -0,0 +1,176 @@
+// Deck Format - CSV/JSON files of card decks, one row per card
+import { isNumberCell } from './bingo-variants.js';
+
+export const DECK_FORMATS = {
+    CSV: 'csv',
+    JSON: 'json'
+};
+
+// Pick a format from a file name (defaults to CSV)
+export function getDeckFormat(fileName = '') {
+    return fileName.toLowerCase().endsWith('.json') ? DECK_FORMATS.JSON : DECK_FORMATS.CSV;
+}
+
+// Column headers for a card's cells, row by row (B1, I1, N1, G1, O1, B2, ... for 75-ball)
+export function getCellHeaders(variant) {
+    const headers = [];
+    
+    for (let row = 0; row < variant.rows; row++) {
+        for (let column = 0; column < variant.columns; column++) {
+            const label = variant.labels[column];
+            headers.push(label.length === 1 ? `${label}${row + 1}` : `R${row + 1}C${column + 1}`);
+        }
+    }
+    
+    return headers;
+}
+
+// Card cells as file values, row by row: numbers, 'FREE' or null for blanks
+export function cellsToValues(variant, cells) {
+    const values = Array(variant.rows * variant.columns).fill(null);
+    
+    cells.forEach(cell => {
+        values[cell.row * variant.columns + cell.column] = isNumberCell(cell)
+            ? cell.number
+            : (cell.isFreeSpace ? 'FREE' : null);
+    });
+    
+    return values;
+}
+
+// Build card cells from file values
+// Returns { numbers, errors }
+export function valuesToCells(variant, values) {
+    const headers = getCellHeaders(variant);
+    const numbers = [];
+    const errors = [];
+    
+    if (values.length !== headers.length) {
+        return { numbers, errors: [`Expected ${headers.length} cells, found ${values.length}`] };
+    }
+    
+    for (let column = 0; column < variant.columns; column++) {
+        for (let row = 0; row < variant.rows; row++) {
+            const index = row * variant.columns + column;
+            const raw = values[index] === null || values[index] === undefined ? '' : String(values[index]).trim();
+            const cell = {
+                letter: variant.labels[column],
+                number: null,
+                row,
+                column,
+                isFreeSpace: false,
+                isMarked: false
+            };
+            
+            if (raw.toUpperCase() === 'FREE') {
+                cell.number = 'FREE';
+                cell.isFreeSpace = true;
+                cell.isMarked = true; // Free space is always marked
+            } else if (raw === '') {
+                cell.isBlank = true;
+                cell.isMarked = true; // Blanks never need to be called
+            } else if (/^\d+$/.test(raw)) {
+                cell.number = parseInt(raw, 10);
+            } else {
+                errors.push(`Cell ${headers[index]}: "${raw}" is not a number`);
+            }
+            
+            numbers.push(cell);
+        }
+    }
+    
+    return { numbers, errors };
+}
+
+// Split one CSV line, honouring double-quoted fields
+function splitCSVLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    
+    return fields.map(value => value.trim());
+}
+
+// Parse CSV rows of "card number, cell, cell, ..."; a header line is skipped
+// Returns [{ row, cardNumber, values }] where row is the line number in the file
+export function parseDeckCSV(text) {
+    const rows = [];
+    
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (line.trim() === '') return;
+        
+        const [cardNumber, ...values] = splitCSVLine(line);
+        
+        // Header line
+        if (index === 0 && !/^\d+$/.test(cardNumber)) return;
+        
+        rows.push({ row: index + 1, cardNumber, values });
+    });
+    
+    return rows;
+}
+
+// Parse a JSON deck: { cards: [{ cardNumber, cells }] } or a bare array of such cards
+// Returns [{ row, cardNumber, values }] where row is the card's position in the file
+export function parseDeckJSON(text) {
+    const data = JSON.parse(text);
+    const cards = Array.isArray(data) ? data : data?.cards;
+    
+    if (!Array.isArray(cards)) {
+        throw new Error('JSON deck must be an array of cards or an object with a "cards" array');
+    }
+    
+    return cards.map((card, index) => ({
+        row: index + 1,
+        cardNumber: card?.cardNumber,
+        values: Array.isArray(card?.cells) ? card.cells : []
+    }));
+}
+
+// CSV text for a deck; cards: [{ cardNumber, numbers }]
+export function formatDeckCSV(variant, cards) {
+    const lines = [['card', ...getCellHeaders(variant)].join(',')];
+    
+    cards.forEach(card => {
+        const values = cellsToValues(variant, card.numbers).map(value => value === null ? '' : value);
+        lines.push([card.cardNumber, ...values].join(','));
+    });
+    
+    return lines.join('\n') + '\n';
+}
+
+// JSON text for a deck; deck: fingerprint of the deck the cards come from
+export function formatDeckJSON(variant, cards, deck = null) {
+    return JSON.stringify({
+        variant: variant.id,
+        deck,
+        cells: getCellHeaders(variant),
+        cards: cards.map(card => ({
+            cardNumber: card.cardNumber,
+            cells: cellsToValues(variant, card.numbers)
+        }))
+    }, null, 2);
+}
@@ -1,44 +1,165 @@
 // Game Engine - Core game logic
-import { CONFIG, CARD_RULES } from './config.js';
+import { CONFIG, GAME_STATES } from './config.js';
+import { getPatternRegistry, cellBit } from './pattern-registry.js';
+import {
+    getVariant,
+    getNumberLabel,
+    isNumberCell,
+    countCardNumbers
+} from './bingo-variants.js';
+import { getCardGenerator } from './card-generator.js';
+import { NumberCaller } from './number-caller.js';
+import { AutoCaller } from './auto-caller.js';
+import { EventEmitter } from './event-emitter.js';
+import { GameStateMachine } from './game-state-machine.js';
+import { SNAPSHOT_VERSION, migrateSnapshot } from './game-snapshot.js';
+import { PrizePool } from './prize-pool.js';
 
-export class GameEngine {
-    constructor() {
-        this.state = {
-            gameId: null,
-            selectedCards: [],
-            calledNumbers: new Set(),
-            calledNumbersHistory: [],
-            currentNumber: null,
-            gameStarted: false,
-            gameEnded: false,
-            winners: [],
-            patterns: [],
-            players: [],
-            startTime: null,
-            lastNumberTime: null
+// Fresh per-game state
+function createInitialState() {
+    return {
+        gameId: null,
+        selectedCards: [],
+        calledNumbers: new Set(),
+        calledNumbersHistory: [],
+        currentNumber: null,
+        winners: [],
+        claims: [],
+        claimCooldownUntil: null,
+        claimWindow: null, // { sequence, opensAt, closesAt } for the latest call
+        stages: [],        // Ordered prize stages; empty plays every pattern at once
+        currentStage: null,
+        payouts: [],       // Prize shares settled so far
+        cardOwners: {},    // cardNumber -> player id, for splitting prizes
+        jackpot: null,     // { pattern, maxCalls, amount, won, sequence, cardNumbers }
+        deck: null,        // Fingerprint of the deck the cards were dealt from
+        patterns: [],
+        players: [],
+        startTime: null,
+        lastNumberTime: null,
+        pausedAt: null,
+        pausedDuration: 0,
+        fairness: null
+    };
+}
+
+export class GameEngine extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.state = createInitialState();
+        this.settings = {
+            daubMode: options.daubMode || CONFIG.DAUB.DEFAULT_MODE,
+            falseClaimPenalty: options.falseClaimPenalty || CONFIG.DAUB.FALSE_CLAIM_PENALTY,
+            claimWindow: options.claimWindow || CONFIG.DAUB.CLAIM_WINDOW,
+            variant: options.variant || CONFIG.DEFAULT_VARIANT,
+            prizes: options.prizes || CONFIG.PRIZES.AMOUNTS,
+            tiePolicy: options.tiePolicy || CONFIG.PRIZES.DEFAULT_TIE_POLICY
         };
         
         this.cardsData = new Map();
         this.winningPatterns = new Set();
         this.numberFrequency = new Map();
+        this.numberIndex = new Map(); // number -> [{ cardNumber, cell, bit }]
+        this.cardCells = new Map();   // cardNumber -> cells by bit position
+        this.caller = null;
+        this.claimWindowTimer = null;
+        this.customPatternRegistry = options.patternRegistry || null;
+        this.setVariant(this.settings.variant);
+        this.stateMachine = options.stateMachine || new GameStateMachine();
+        this.verbose = options.verbose !== false; // Headless runs turn progress logging off
+        
+        this.autoCaller = new AutoCaller({
+            interval: options.callInterval || CONFIG.AUTO_CALL.INTERVAL,
+            tick: CONFIG.AUTO_CALL.COUNTDOWN_TICK,
+            onCountdown: (remaining) => this.emit('countdown', {
+                remaining,
+                interval: this.autoCaller.interval
+            }),
+            onCall: () => this.drawNumber()
+        });
+    }
+    
+    // Switch the card layout, ball count and pattern set (see BINGO_VARIANTS)
+    setVariant(variantId) {
+        this.variant = getVariant(variantId);
+        this.settings.variant = this.variant.id;
+        this.patternRegistry = this.customPatternRegistry || getPatternRegistry(this.variant.id);
+        this.configurePrizes();
+    }
+    
+    // Rebuild the prize pool from the current settings
+    configurePrizes() {
+        this.prizePool = new PrizePool({
+            prizes: this.settings.prizes,
+            tiePolicy: this.settings.tiePolicy,
+            ballCount: this.variant.ballCount
+        });
     }
     
     // Initialize game with selected cards
-    async init(selectedCards) {
+    // options.gameId: id reserved earlier (e.g. printed on card sheets); generated if omitted
+    // options.seed: host-supplied draw seed (random if omitted)
+    // options.daubMode: CONFIG.DAUB.MODES value chosen by the host
+    // options.variant: BINGO_VARIANTS id (defaults to the current variant)
+    // options.patterns: pattern ids to play (defaults to the variant's)
+    // options.stages: ordered [{ pattern, prize, amount }] played one after another
+    // options.prizes / options.tiePolicy: prize amounts per pattern and how ties share them
+    // options.cardOwners: { [cardNumber]: playerId } so split_even pays per player
+    // options.jackpot: { pattern, maxCalls, amount } from the JackpotLedger
+    async init(selectedCards, options = {}) {
+        if (!this.stateMachine.can(GAME_STATES.WAITING)) {
+            throw new Error(`Cannot initialize game while ${this.stateMachine.state}`);
+        }
+        
         this.state.selectedCards = selectedCards;
-        this.state.gameId = this.generateGameId();
+        this.state.gameId = options.gameId || this.generateGameId();
+        
+        if (options.daubMode) {
+            this.settings.daubMode = options.daubMode;
+        }
+        if (options.prizes) {
+            this.settings.prizes = options.prizes;
+        }
+        if (options.tiePolicy) {
+            this.settings.tiePolicy = options.tiePolicy;
+        }
+        if (options.variant) {
+            this.setVariant(options.variant);
+        }
+        this.configurePrizes();
+        this.state.cardOwners = options.cardOwners || {};
+        this.state.jackpot = options.jackpot
+            ? { ...options.jackpot, won: false, sequence: null, cardNumbers: [] }
+            : null;
         this.state.startTime = Date.now();
         
         // Load card data for all selected cards
         await this.loadCardsData(selectedCards);
+        this.state.deck = await getCardGenerator(this.variant.id).getFingerprint();
+        
+        // Pre-shuffle the balls and commit to the seed
+        this.caller = new NumberCaller(options.seed, this.variant.ballCount);
+        await this.caller.commit();
+        this.state.fairness = this.caller.getProof();
         
         // Initialize number frequency tracking
         this.initializeNumberFrequency();
         
-        // Initialize winning patterns
-        this.initializeWinningPatterns();
+        // Initialize winning patterns, or the first prize stage
+        const stages = options.stages || (!options.patterns && this.variant.defaultStages);
+        if (stages) {
+            this.initializeStages(stages);
+        } else {
+            this.initializeWinningPatterns(options.patterns || this.variant.defaultPatterns);
+            this.updatePatternProgress();
+        }
+        
+        this.stateMachine.transition(GAME_STATES.WAITING, { gameId: this.state.gameId });
         
-        console.log(`Game initialized with ${selectedCards.length} cards`);
+        if (this.verbose) {
+            console.log(`Game initialized with ${selectedCards.length} cards`);
+        }
     }
     
     // Generate unique game ID
@@ -55,60 +176,70 @@ export class GameEngine {
             const cardData = this.generateCardData(cardNumber);
             this.cardsData.set(cardNumber, cardData);
         });
+        
+        this.indexCards();
     }
     
-    // Generate card data (mock implementation)
-    generateCardData(cardNumber) {
-        const seed = cardNumber * 123456789;
-        const card = {
-            cardNumber,
-            numbers: [],
-            markedNumbers: new Set(),
-            patternsCompleted: new Set()
-        };
+    // Load card layouts from elsewhere (e.g. an exported game), clearing any marks
+    loadCardLayouts(cards) {
+        cards.forEach(card => {
+            this.cardsData.set(card.cardNumber, {
+                cardNumber: card.cardNumber,
+                variant: this.variant.id,
+                numbers: card.numbers.map(cell => ({ ...cell, isMarked: !isNumberCell(cell) })),
+                markedNumbers: new Set(),
+                patternsCompleted: new Set(),
+                patternProgress: new Map(),
+                disqualified: false
+            });
+        });
         
-        // Generate BINGO numbers
-        CARD_RULES.COLUMNS.forEach((letter, colIndex) => {
-            const columnRules = CARD_RULES[`${letter}_COLUMN`];
+        this.indexCards();
+    }
+    
+    // Build the number -> cells index and each card's marked bitmask
+    // Free spaces and blanks start marked so patterns can include them
+    indexCards() {
+        this.numberIndex = new Map();
+        this.cardCells = new Map();
+        
+        for (const [cardNumber, cardData] of this.cardsData) {
+            const cells = [];
+            cardData.markedBits = 0;
             
-            for (let row = 0; row < 5; row++) {
-                // Free space in the middle
-                if (CARD_RULES.FREE_SPACE && 
-                    row === CARD_RULES.FREE_SPACE_POSITION[0] && 
-                    colIndex === CARD_RULES.FREE_SPACE_POSITION[1]) {
-                    card.numbers.push({
-                        letter,
-                        number: 'FREE',
-                        row,
-                        column: colIndex,
-                        isFreeSpace: true,
-                        isMarked: true // Free space is always marked
-                    });
-                    continue;
-                }
+            cardData.numbers.forEach(cell => {
+                const bit = cellBit(cell.row, cell.column, this.variant.columns);
+                cells[cell.row * this.variant.columns + cell.column] = cell;
                 
-                // Generate number
-                const number = this.generateColumnNumber(seed, cardNumber, colIndex, row, columnRules);
+                if (!isNumberCell(cell)) {
+                    cardData.markedBits |= bit;
+                    return;
+                }
+                if (cell.isMarked) {
+                    cardData.markedBits |= bit;
+                }
                 
-                card.numbers.push({
-                    letter,
-                    number,
-                    row,
-                    column: colIndex,
-                    isFreeSpace: false,
-                    isMarked: false
-                });
-            }
-        });
-        
-        return card;
+                if (!this.numberIndex.has(cell.number)) {
+                    this.numberIndex.set(cell.number, []);
+                }
+                this.numberIndex.get(cell.number).push({ cardNumber, cell, bit });
+            });
+            
+            this.cardCells.set(cardNumber, cells);
+        }
     }
     
-    // Generate column number (consistent with card-manager)
-    generateColumnNumber(seed, cardNumber, columnIndex, rowIndex, columnRules) {
-        const base = seed + (cardNumber * 100) + (columnIndex * 10) + rowIndex;
-        const range = columnRules.max - columnRules.min + 1;
-        return columnRules.min + (Math.abs(base) % range);
+    // Generate card data from the shared deck
+    generateCardData(cardNumber) {
+        return {
+            cardNumber,
+            variant: this.variant.id,
+            numbers: getCardGenerator(this.variant.id).generateCells(cardNumber),
+            markedNumbers: new Set(),
+            patternsCompleted: new Set(),
+            patternProgress: new Map(),
+            disqualified: false
+        };
     }
     
     // Initialize number frequency tracking
@@ -116,7 +247,7 @@ export class GameEngine {
         // Count frequency of each number across all cards
         for (const cardData of this.cardsData.values()) {
             cardData.numbers.forEach(cell => {
-                if (cell.number !== 'FREE') {
+                if (isNumberCell(cell)) {
                     const current = this.numberFrequency.get(cell.number) || 0;
                     this.numberFrequency.set(cell.number, current + 1);
                 }
@@ -124,46 +255,225 @@ export class GameEngine {
         }
     }
     
-    // Initialize winning patterns
-    initializeWinningPatterns() {
-        this.winningPatterns = new Set(CONFIG.BINGO_PATTERNS);
+    // Initialize winning patterns from registered pattern ids
+    initializeWinningPatterns(patternIds = CONFIG.BINGO_PATTERNS) {
+        this.winningPatterns = new Set();
+        
+        patternIds.forEach(patternId => {
+            if (this.patternRegistry.has(patternId)) {
+                this.prizePool.getPool(patternId); // Fail now on a pattern that pays nothing
+                this.winningPatterns.add(patternId);
+            } else {
+                console.warn(`Unknown bingo pattern: ${patternId}`);
+            }
+        });
+    }
+    
+    // Set up ordered prize stages and activate the first one
+    // stages: [{ pattern, prize, amount }]; prize is the label shown to players
+    initializeStages(stages) {
+        if (!stages || stages.length === 0) {
+            throw new Error('At least one prize stage is required');
+        }
+        
+        this.state.stages = stages.map(({ pattern, prize, amount }, index) => {
+            if (!this.patternRegistry.has(pattern)) {
+                throw new Error(`Unknown bingo pattern for stage ${index + 1}: ${pattern}`);
+            }
+            this.prizePool.getPool(pattern, { amount }); // Fail now on a stage that pays nothing
+            
+            return {
+                index,
+                pattern,
+                patternName: this.patternRegistry.get(pattern).name,
+                prize: prize || this.patternRegistry.get(pattern).name,
+                amount: typeof amount === 'number' ? amount : null,
+                status: 'pending',
+                startedAtSequence: null,
+                completedAtSequence: null,
+                winners: []
+            };
+        });
+        
+        this.activateStage(0);
+    }
+    
+    // Check if the game awards prizes in stages
+    isStaged() {
+        return this.state.stages.length > 0;
+    }
+    
+    // Get the stage currently being played (null when not staged or all won)
+    getCurrentStage() {
+        return this.state.currentStage === null ? null : this.state.stages[this.state.currentStage];
+    }
+    
+    // Make a stage's pattern the only active one
+    activateStage(index) {
+        const stage = this.state.stages[index];
+        
+        stage.status = 'active';
+        stage.startedAtSequence = this.state.calledNumbers.size;
+        this.state.currentStage = index;
+        this.winningPatterns = new Set([stage.pattern]);
+        
+        // Progress toward earlier stages no longer matters
+        for (const cardData of this.cardsData.values()) {
+            cardData.patternProgress.clear();
+        }
+        
+        this.emit('stage_started', { stage, total: this.state.stages.length });
+        this.updatePatternProgress();
+        
+        // Cards may already hold the new pattern; in auto daub they win it on this call
+        if (this.isActive() && !this.isManualDaub()) {
+            this.checkForWinners();
+        }
+    }
+    
+    // Close the current stage with its winners and move on to the next one
+    completeStage(winners) {
+        const stage = this.getCurrentStage();
+        
+        stage.status = 'won';
+        stage.completedAtSequence = this.state.calledNumbers.size;
+        stage.winners = winners;
+        this.state.currentStage = null;
+        
+        this.emit('stage_completed', { stage, winners, total: this.state.stages.length });
+        
+        if (stage.index + 1 < this.state.stages.length) {
+            this.activateStage(stage.index + 1);
+        }
     }
     
     // Start the game
     startGame() {
-        if (this.state.gameStarted) {
-            console.warn('Game already started');
+        if (!this.stateMachine.is(GAME_STATES.WAITING)) {
+            console.warn(`Cannot start game while ${this.stateMachine.state}`);
             return;
         }
         
-        this.state.gameStarted = true;
         this.state.startTime = Date.now();
+        this.stateMachine.transition(GAME_STATES.PLAYING, { gameId: this.state.gameId });
         
-        console.log('Game started:', this.state.gameId);
+        if (this.verbose) {
+            console.log('Game started:', this.state.gameId, 'seed hash:', this.state.fairness?.seedHash);
+        }
         return this.state.gameId;
     }
     
+    // Start calling numbers automatically
+    startAutoCall(interval) {
+        if (!this.isActive()) {
+            return false;
+        }
+        
+        if (interval) {
+            this.setCallInterval(interval);
+        }
+        
+        this.autoCaller.start();
+        return true;
+    }
+    
+    // Stop calling numbers automatically
+    stopAutoCall() {
+        this.autoCaller.stop();
+    }
+    
+    // Hold the auto caller while a claim is checked (e.g. by the server)
+    holdCalls() {
+        this.autoCaller.hold();
+    }
+    
+    // Let the auto caller continue after holdCalls()
+    releaseCalls() {
+        this.autoCaller.release();
+    }
+    
+    // Change the time between automatic calls
+    setCallInterval(interval) {
+        const clamped = Math.min(
+            CONFIG.AUTO_CALL.MAX_INTERVAL,
+            Math.max(CONFIG.AUTO_CALL.MIN_INTERVAL, interval)
+        );
+        
+        this.autoCaller.setInterval(clamped);
+        this.emit('speed_changed', { interval: clamped });
+        return clamped;
+    }
+    
+    // Pause the game clock and the auto caller
+    pauseGame() {
+        if (!this.stateMachine.can(GAME_STATES.PAUSED)) {
+            return false;
+        }
+        
+        this.state.pausedAt = Date.now();
+        this.autoCaller.pause();
+        this.stateMachine.transition(GAME_STATES.PAUSED, { gameId: this.state.gameId });
+        
+        this.emit('paused', { elapsed: this.getElapsedTime() });
+        return true;
+    }
+    
+    // Resume the game clock and the auto caller
+    resumeGame() {
+        if (!this.stateMachine.is(GAME_STATES.PAUSED)) {
+            return false;
+        }
+        
+        this.state.pausedDuration += Date.now() - this.state.pausedAt;
+        this.state.pausedAt = null;
+        this.stateMachine.transition(GAME_STATES.PLAYING, { gameId: this.state.gameId });
+        this.autoCaller.resume();
+        
+        this.emit('resumed', { elapsed: this.getElapsedTime() });
+        return true;
+    }
+    
+    // Check if the game is running (started, not paused or finished)
+    isActive() {
+        return this.stateMachine.is(GAME_STATES.PLAYING);
+    }
+    
+    // Check if the game is paused
+    isPaused() {
+        return this.stateMachine.is(GAME_STATES.PAUSED);
+    }
+    
+    // Game time excluding paused periods
+    getElapsedTime() {
+        if (!this.state.startTime) return 0;
+        
+        const now = this.state.pausedAt || Date.now();
+        return now - this.state.startTime - this.state.pausedDuration;
+    }
+    
     // Draw a new number
     drawNumber() {
-        if (!this.state.gameStarted || this.state.gameEnded) {
+        if (!this.isActive()) {
             return null;
         }
         
-        // Generate random number 1-75
-        let newNumber;
-        let attempts = 0;
-        const maxAttempts = 100;
+        // Take the next ball from the seeded draw order
+        const newNumber = this.caller.next();
         
-        do {
-            newNumber = Math.floor(Math.random() * 75) + 1;
-            attempts++;
-            
-            if (attempts > maxAttempts) {
-                // All numbers drawn
-                this.endGame();
-                return null;
-            }
-        } while (this.state.calledNumbers.has(newNumber));
+        if (newNumber === null) {
+            // All numbers drawn
+            this.endGame();
+            return null;
+        }
+        
+        return this.callNumber(newNumber);
+    }
+    
+    // Apply a called number to the board (used directly when replaying a game)
+    callNumber(newNumber) {
+        if (!this.isActive() || this.state.calledNumbers.has(newNumber)) {
+            return null;
+        }
         
         // Update state
         this.state.calledNumbers.add(newNumber);
@@ -172,6 +482,7 @@ export class GameEngine {
         
         const letter = this.getNumberLetter(newNumber);
         const numberData = {
+            sequence: this.state.calledNumbers.size,
             number: newNumber,
             letter,
             timestamp: this.state.lastNumberTime,
@@ -180,147 +491,441 @@ export class GameEngine {
         
         this.state.calledNumbersHistory.push(numberData);
         
-        // Mark numbers on cards
-        this.markNumbersOnCards(newNumber);
-        
-        // Check for winners
-        this.checkForWinners();
+        // In manual mode players daub and claim themselves
+        if (this.isManualDaub()) {
+            this.openClaimWindow(numberData.sequence);
+        } else {
+            // Mark numbers on cards holding this number
+            const affected = this.markNumbersOnCards(newNumber);
+            
+            // Check for winners and cards close to winning among them
+            this.checkForWinners(affected);
+            this.updatePatternProgress(affected);
+        }
         
+        this.emit('number_drawn', numberData);
         return numberData;
     }
     
-    // Get letter for a number (B:1-15, I:16-30, N:31-45, G:46-60, O:61-75)
+    // Get letter for a number (B:1-15 ... O:61-75, or the variant's column label)
     getNumberLetter(number) {
-        if (number <= 15) return 'B';
-        if (number <= 30) return 'I';
-        if (number <= 45) return 'N';
-        if (number <= 60) return 'G';
-        return 'O';
+        return getNumberLabel(this.variant, number);
     }
     
-    // Mark numbers on all cards
+    // Mark a number on every card holding it; returns the affected card numbers
     markNumbersOnCards(number) {
-        for (const [cardNumber, cardData] of this.cardsData) {
-            cardData.numbers.forEach(cell => {
-                if (cell.number === number) {
-                    cell.isMarked = true;
-                    cardData.markedNumbers.add(number);
-                }
-            });
+        const affected = [];
+        
+        (this.numberIndex.get(number) || []).forEach(({ cardNumber, cell, bit }) => {
+            const cardData = this.cardsData.get(cardNumber);
+            
+            cell.isMarked = true;
+            cardData.markedBits |= bit;
+            cardData.markedNumbers.add(number);
+            affected.push(cardNumber);
+        });
+        
+        return affected;
+    }
+    
+    // Start the claim window for a call, closing the previous call's window
+    openClaimWindow(sequence) {
+        this.closeClaimWindow();
+        
+        const opensAt = Date.now();
+        this.state.claimWindow = {
+            sequence,
+            opensAt,
+            closesAt: opensAt + this.settings.claimWindow
+        };
+        
+        this.claimWindowTimer = setTimeout(() => this.closeClaimWindow(), this.settings.claimWindow);
+        this.emit('claim_window_opened', { ...this.state.claimWindow });
+    }
+    
+    // Close the open claim window (on timeout, the next call or the end of the game)
+    closeClaimWindow() {
+        if (!this.claimWindowTimer) return;
+        
+        clearTimeout(this.claimWindowTimer);
+        this.claimWindowTimer = null;
+        this.emit('claim_window_closed', { sequence: this.state.claimWindow.sequence });
+    }
+    
+    // Check whether a claim on a ball sequence is still allowed
+    // Returns null when allowed, otherwise the rejection reason
+    checkClaimWindow(sequence, now = Date.now()) {
+        const current = this.state.calledNumbers.size;
+        const claimWindow = this.state.claimWindow;
+        
+        if (!Number.isInteger(sequence) || sequence < 1 || sequence > current) {
+            return 'unknown_sequence';
+        }
+        if (sequence < current) {
+            return 'late_claim'; // Another ball has been called since
+        }
+        if (!claimWindow || claimWindow.sequence !== sequence || now > claimWindow.closesAt) {
+            return 'claim_window_closed';
         }
+        return null;
     }
     
-    // Check for winners
-    checkForWinners() {
-        const winners = [];
+    // Check if players daub their own cards
+    isManualDaub() {
+        return this.settings.daubMode === CONFIG.DAUB.MODES.MANUAL;
+    }
+    
+    // Mark a called number on a card (manual daub mode)
+    // Returns { accepted, reason }
+    daubNumber(cardNumber, number) {
+        const cardData = this.cardsData.get(cardNumber);
+        
+        if (!this.isActive()) {
+            return { accepted: false, reason: 'game_not_active' };
+        }
+        if (!cardData || cardData.disqualified) {
+            return { accepted: false, reason: 'card_not_playable' };
+        }
+        if (!this.state.calledNumbers.has(number)) {
+            return { accepted: false, reason: 'number_not_called' };
+        }
+        
+        const cell = cardData.numbers.find(c => c.number === number);
+        if (!cell) {
+            return { accepted: false, reason: 'number_not_on_card' };
+        }
+        
+        cell.isMarked = true;
+        cardData.markedBits |= cellBit(cell.row, cell.column, this.variant.columns);
+        cardData.markedNumbers.add(number);
+        this.updatePatternProgress([cardNumber]);
+        
+        this.emit('number_daubed', { cardNumber, number });
+        return { accepted: true, reason: 'marked' };
+    }
+    
+    // Card a bingo claim is about: the playable card closest to completing an active pattern
+    getClaimCard() {
+        let best = null;
+        let bestMissing = Infinity;
         
         for (const [cardNumber, cardData] of this.cardsData) {
-            // Check each winning pattern
-            for (const pattern of this.winningPatterns) {
-                if (!cardData.patternsCompleted.has(pattern) && 
-                    this.checkPattern(cardData, pattern)) {
-                    
-                    cardData.patternsCompleted.add(pattern);
-                    
-                    winners.push({
-                        cardNumber,
-                        pattern,
-                        winningNumbers: Array.from(cardData.markedNumbers),
-                        timestamp: Date.now()
-                    });
+            if (cardData.disqualified) continue;
+            
+            for (const [pattern, progress] of cardData.patternProgress) {
+                if (!this.winningPatterns.has(pattern) || cardData.patternsCompleted.has(pattern)) continue;
+                if (progress.missing < bestMissing) {
+                    best = cardNumber;
+                    bestMissing = progress.missing;
                 }
             }
         }
         
-        if (winners.length > 0) {
-            this.state.winners.push(...winners);
+        return best;
+    }
+    
+    // Claim bingo on one card, or on any card when cardNumber is null
+    // sequence: the call the claim is made on (defaults to the latest call)
+    // Claims are validated against called numbers; false claims are penalized,
+    // claims made after the claim window or the next ball are rejected without penalty
+    claimBingo(cardNumber = null, sequence = this.state.calledNumbers.size) {
+        const now = Date.now();
+        
+        if (!this.isActive()) {
+            return { valid: false, reason: 'game_not_active', winners: [] };
+        }
+        
+        // Auto daub detects wins on every call
+        if (!this.isManualDaub()) {
+            return { valid: false, reason: 'auto_daub', winners: [] };
+        }
+        
+        if (this.state.claimCooldownUntil && now < this.state.claimCooldownUntil) {
+            return {
+                valid: false,
+                reason: 'cooldown',
+                retryAfter: this.state.claimCooldownUntil - now,
+                winners: []
+            };
+        }
+        
+        const windowError = this.checkClaimWindow(sequence, now);
+        if (windowError) {
+            const claim = {
+                cardNumber,
+                sequence,
+                currentSequence: this.state.calledNumbers.size,
+                valid: false,
+                reason: windowError,
+                timestamp: now
+            };
             
-            // Check if game should end
-            if (this.shouldEndGame()) {
-                this.endGame();
+            this.state.claims.push(claim);
+            this.emit('claim_rejected', claim);
+            return { ...claim, winners: [] };
+        }
+        
+        const cardNumbers = cardNumber === null ? Array.from(this.cardsData.keys()) : [cardNumber];
+        const winners = [];
+        
+        cardNumbers.forEach(number => {
+            const cardData = this.cardsData.get(number);
+            if (cardData && !cardData.disqualified) {
+                winners.push(...this.findNewWinners(number, cardData, this.getClaimBits(number, cardData)));
             }
+        });
+        
+        const claim = {
+            cardNumber,
+            sequence,
+            valid: winners.length > 0,
+            reason: winners.length > 0 ? 'valid' : 'no_completed_pattern',
+            timestamp: now
+        };
+        
+        if (claim.valid) {
+            this.state.claims.push(claim);
+            this.emit('claim_accepted', { ...claim, winners });
+            this.recordWinners(winners);
+        } else {
+            claim.penalty = this.applyFalseClaimPenalty(cardNumber);
+            this.state.claims.push(claim);
+            this.emit('claim_rejected', claim);
         }
         
-        return winners;
+        return { ...claim, winners };
     }
     
-    // Check specific pattern on a card
-    checkPattern(cardData, pattern) {
-        switch (pattern) {
-            case 'LINE':
-                return this.checkLinePattern(cardData);
-            case 'FOUR_CORNERS':
-                return this.checkFourCornersPattern(cardData);
-            case 'BLACKOUT':
-                return this.checkBlackoutPattern(cardData);
+    // Apply the configured penalty for a false bingo claim
+    applyFalseClaimPenalty(cardNumber) {
+        const { type, cooldown } = this.settings.falseClaimPenalty;
+        
+        switch (type) {
+            case CONFIG.DAUB.PENALTIES.COOLDOWN:
+                this.state.claimCooldownUntil = Date.now() + cooldown;
+                return { type, until: this.state.claimCooldownUntil };
+                
+            case CONFIG.DAUB.PENALTIES.LOSE_CARD: {
+                // Without a specific card, the claim forfeits the first playable one
+                const forfeited = cardNumber !== null
+                    ? cardNumber
+                    : Array.from(this.cardsData.keys()).find(n => !this.cardsData.get(n).disqualified);
+                const cardData = this.cardsData.get(forfeited);
+                if (cardData) {
+                    cardData.disqualified = true;
+                }
+                return { type, cardNumber: forfeited };
+            }
+                
             default:
-                return false;
+                return { type: CONFIG.DAUB.PENALTIES.NONE };
         }
     }
     
-    // Check for any complete line
-    checkLinePattern(cardData) {
-        const grid = this.createNumberGrid(cardData);
+    // Check for winners among some cards (all cards by default)
+    checkForWinners(cardNumbers = this.cardsData.keys()) {
+        const winners = [];
         
-        // Check rows
-        for (let row = 0; row < 5; row++) {
-            let complete = true;
-            for (let col = 0; col < 5; col++) {
-                if (!grid[row][col].isMarked) {
-                    complete = false;
-                    break;
-                }
-            }
-            if (complete) return true;
+        for (const cardNumber of cardNumbers) {
+            const cardData = this.cardsData.get(cardNumber);
+            if (cardData.disqualified) continue;
+            winners.push(...this.findNewWinners(cardNumber, cardData));
         }
         
-        // Check columns
-        for (let col = 0; col < 5; col++) {
-            let complete = true;
-            for (let row = 0; row < 5; row++) {
-                if (!grid[row][col].isMarked) {
-                    complete = false;
-                    break;
-                }
+        this.recordWinners(winners);
+        return winners;
+    }
+    
+    // Find patterns newly completed on a card
+    // markedBits: cells counted as marked (defaults to the card's marks)
+    findNewWinners(cardNumber, cardData, markedBits = cardData.markedBits) {
+        const winners = [];
+        
+        // Check each winning pattern
+        for (const pattern of this.winningPatterns) {
+            if (cardData.patternsCompleted.has(pattern)) continue;
+            
+            const match = this.findPatternMatch(cardData, pattern, markedBits);
+            if (match) {
+                cardData.patternsCompleted.add(pattern);
+                
+                winners.push({
+                    cardNumber,
+                    sequence: this.state.calledNumbers.size,
+                    stage: this.state.currentStage,
+                    pattern,
+                    patternName: this.patternRegistry.get(pattern).name,
+                    maskIndex: match.maskIndex,
+                    mask: match.mask,
+                    cells: match.cells,
+                    winningNumbers: Array.from(cardData.markedNumbers),
+                    timestamp: Date.now()
+                });
             }
-            if (complete) return true;
         }
         
-        // Check diagonals
-        let diag1Complete = true;
-        let diag2Complete = true;
+        return winners;
+    }
+    
+    // Record winners and end the game if required
+    recordWinners(winners) {
+        if (winners.length === 0) return;
+        
+        this.state.winners.push(...winners);
+        this.emit('patterns_completed', { winners });
+        this.settlePrizes(winners);
+        this.checkJackpot(winners);
         
-        for (let i = 0; i < 5; i++) {
-            if (!grid[i][i].isMarked) diag1Complete = false;
-            if (!grid[i][4 - i].isMarked) diag2Complete = false;
+        // Only the current stage's pattern is active, so these winners take it
+        if (this.isStaged()) {
+            this.completeStage(winners);
         }
         
-        return diag1Complete || diag2Complete;
+        // Check if game should end (a later stage won on the same call may have ended it)
+        if (this.isActive() && this.shouldEndGame()) {
+            this.endGame();
+        }
     }
     
-    // Check four corners pattern
-    checkFourCornersPattern(cardData) {
-        const grid = this.createNumberGrid(cardData);
+    // Share each pattern's prize between the cards that completed it on this call
+    // A pattern (or stage) pays out once; later completions win no prize
+    settlePrizes(winners) {
+        const stage = this.getCurrentStage();
+        const byPattern = new Map();
         
-        return grid[0][0].isMarked &&  // Top-left
-               grid[0][4].isMarked &&  // Top-right
-               grid[4][0].isMarked &&  // Bottom-left
-               grid[4][4].isMarked;    // Bottom-right
+        winners.forEach(winner => {
+            byPattern.set(winner.pattern, [...(byPattern.get(winner.pattern) || []), winner]);
+        });
+        
+        for (const [pattern, tied] of byPattern) {
+            const stageIndex = stage ? stage.index : null;
+            if (this.state.payouts.some(p => !p.jackpot && p.pattern === pattern && p.stage === stageIndex)) continue;
+            
+            const payout = this.prizePool.settle({
+                pattern,
+                patternName: tied[0].patternName,
+                stage,
+                sequence: tied[0].sequence,
+                winners: tied,
+                owners: this.state.cardOwners,
+                seed: this.caller ? this.caller.seed : this.state.gameId
+            });
+            
+            this.state.payouts.push(payout);
+            this.emit('prize_settled', payout);
+        }
     }
     
-    // Check blackout pattern (all numbers marked)
-    checkBlackoutPattern(cardData) {
-        return cardData.markedNumbers.size === 24; // 25 cells - free space
+    // Award the jackpot if its pattern completed within the allowed number of calls
+    checkJackpot(winners) {
+        const jackpot = this.state.jackpot;
+        if (!jackpot || jackpot.won) return;
+        
+        const calls = this.state.calledNumbers.size;
+        const tied = winners.filter(winner => winner.pattern === jackpot.pattern);
+        if (tied.length === 0 || calls > jackpot.maxCalls) return;
+        
+        jackpot.won = true;
+        jackpot.sequence = calls;
+        jackpot.cardNumbers = tied.map(winner => winner.cardNumber);
+        
+        const payout = {
+            ...this.prizePool.settle({
+                pattern: jackpot.pattern,
+                patternName: tied[0].patternName,
+                stage: { index: null, prize: 'Jackpot', amount: jackpot.amount },
+                sequence: calls,
+                winners: tied,
+                owners: this.state.cardOwners,
+                seed: this.caller ? this.caller.seed : this.state.gameId
+            }),
+            jackpot: true
+        };
+        
+        this.state.payouts.push(payout);
+        this.emit('jackpot_won', { jackpot: { ...jackpot }, payout });
+    }
+    
+    // Check specific pattern on a card
+    checkPattern(cardData, pattern) {
+        return this.findPatternMatch(cardData, pattern) !== null;
+    }
+    
+    // Find the registered mask of a pattern completed on a card
+    findPatternMatch(cardData, pattern, markedBits = cardData.markedBits) {
+        return this.patternRegistry.matchBits(pattern, markedBits);
+    }
+    
+    // Track how many numbers cards still need for every active pattern
+    // (all cards by default); emits 'one_away' the first time a card is one number from a pattern
+    updatePatternProgress(cardNumbers = this.cardsData.keys()) {
+        const oneAway = [];
+        
+        for (const cardNumber of cardNumbers) {
+            const cardData = this.cardsData.get(cardNumber);
+            
+            for (const pattern of this.winningPatterns) {
+                const previous = cardData.patternProgress.get(pattern);
+                const progress = this.getPatternProgress(cardData, pattern);
+                cardData.patternProgress.set(pattern, progress);
+                
+                if (progress.missing === 1 && (!previous || previous.missing > 1)) {
+                    oneAway.push({
+                        cardNumber,
+                        pattern,
+                        patternName: this.patternRegistry.get(pattern).name,
+                        maskIndex: progress.maskIndex,
+                        neededNumber: progress.missingNumbers[0]
+                    });
+                }
+            }
+        }
+        
+        oneAway.forEach(nearWin => this.emit('one_away', nearWin));
+        return oneAway;
+    }
+    
+    // Get the closest mask of a pattern and the numbers it still needs
+    getPatternProgress(cardData, pattern) {
+        const cells = this.cardCells.get(cardData.cardNumber);
+        const progress = this.patternRegistry.progressBits(pattern, cardData.markedBits);
+        const missingNumbers = progress.missingCells.map(([row, col]) =>
+            cells[row * this.variant.columns + col].number
+        );
+        
+        return {
+            pattern,
+            maskIndex: progress.maskIndex,
+            missing: missingNumbers.length,
+            missingNumbers
+        };
+    }
+    
+    // Numbers that would complete a pattern, per card: Map of card number -> numbers
+    getNeededNumbers(maxMissing = 1) {
+        const neededByCard = new Map();
+        
+        for (const [cardNumber, cardData] of this.cardsData) {
+            const needed = new Set();
+            for (const progress of cardData.patternProgress.values()) {
+                if (progress.missing > 0 && progress.missing <= maxMissing) {
+                    progress.missingNumbers.forEach(number => needed.add(number));
+                }
+            }
+            neededByCard.set(cardNumber, Array.from(needed));
+        }
+        
+        return neededByCard;
     }
     
-    // Create 5x5 grid from card data
+    // Create a rows x columns grid from card data (free spaces and blanks count as marked)
     createNumberGrid(cardData) {
-        const grid = Array(5).fill().map(() => Array(5).fill(null));
+        const grid = Array(this.variant.rows).fill().map(() => Array(this.variant.columns).fill(null));
         
         cardData.numbers.forEach(cell => {
             grid[cell.row][cell.column] = {
                 number: cell.number,
-                isMarked: cell.isMarked || cell.isFreeSpace,
+                isMarked: cell.isMarked || !isNumberCell(cell),
                 letter: cell.letter
             };
         });
@@ -328,24 +933,68 @@ export class GameEngine {
         return grid;
     }
     
+    // Marked bits where only daubed cells for called numbers count
+    getClaimBits(cardNumber, cardData) {
+        let bits = cardData.markedBits;
+        
+        this.cardCells.get(cardNumber).forEach(cell => {
+            if (isNumberCell(cell) && !this.state.calledNumbers.has(cell.number)) {
+                bits &= ~cellBit(cell.row, cell.column, this.variant.columns);
+            }
+        });
+        
+        return bits;
+    }
+    
     // Determine if game should end
     shouldEndGame() {
+        // Staged games end once the last prize is won
+        if (this.isStaged()) {
+            return this.state.stages.every(stage => stage.status === 'won');
+        }
+        
         // End game if any blackout is achieved
         return this.state.winners.some(winner => winner.pattern === 'BLACKOUT');
     }
     
     // End the game
     endGame() {
-        this.state.gameEnded = true;
-        this.state.gameStarted = false;
+        if (!this.stateMachine.can(GAME_STATES.FINISHED)) {
+            console.warn(`Cannot end game while ${this.stateMachine.state}`);
+            return null;
+        }
         
-        console.log('Game ended. Winners:', this.state.winners);
+        // Close the paused period so the duration stays accurate
+        if (this.state.pausedAt) {
+            this.state.pausedDuration += Date.now() - this.state.pausedAt;
+            this.state.pausedAt = null;
+        }
         
-        return {
+        this.autoCaller.stop();
+        this.closeClaimWindow();
+        
+        // Reveal the seed so the draw can be verified
+        if (this.caller) {
+            this.state.fairness = this.caller.getProof(true);
+        }
+        
+        if (this.verbose) {
+            console.log('Game ended. Winners:', this.state.winners);
+        }
+        
+        const result = {
             winners: this.state.winners,
+            stages: this.state.stages,
+            payouts: this.state.payouts,
+            jackpot: this.state.jackpot,
             totalNumbersCalled: this.state.calledNumbers.size,
-            duration: Date.now() - this.state.startTime
+            duration: this.getElapsedTime(),
+            fairness: this.state.fairness
         };
+        
+        this.stateMachine.transition(GAME_STATES.FINISHED, { gameId: this.state.gameId, result });
+        this.emit('game_ended', result);
+        return result;
     }
     
     // Get card data
@@ -363,7 +1012,7 @@ export class GameEngine {
     
     // Get game statistics
     getStatistics() {
-        const totalPossibleNumbers = 75;
+        const totalPossibleNumbers = this.variant.ballCount;
         const numbersCalled = this.state.calledNumbers.size;
         const percentageCalled = (numbersCalled / totalPossibleNumbers) * 100;
         
@@ -380,9 +1029,15 @@ export class GameEngine {
         const cardStats = Array.from(this.cardsData.entries()).map(([cardNumber, data]) => ({
             cardNumber,
             markedNumbers: data.markedNumbers.size,
-            totalNumbers: 24, // Excluding free space
-            completionPercentage: (data.markedNumbers.size / 24) * 100,
-            patternsCompleted: Array.from(data.patternsCompleted)
+            totalNumbers: countCardNumbers(data), // Excluding free space and blanks
+            completionPercentage: (data.markedNumbers.size / countCardNumbers(data)) * 100,
+            patternsCompleted: Array.from(data.patternsCompleted),
+            disqualified: data.disqualified,
+            nearWins: Array.from(data.patternProgress.values())
+                .filter(progress => progress.missing > 0)
+                .sort((a, b) => a.missing - b.missing),
+            oneAway: Array.from(data.patternProgress.values())
+                .some(progress => progress.missing === 1)
         }));
         
         return {
@@ -391,7 +1046,7 @@ export class GameEngine {
             percentageCalled,
             totalWinners: this.state.winners.length,
             currentNumber: this.state.currentNumber,
-            gameDuration: this.state.startTime ? Date.now() - this.state.startTime : 0,
+            gameDuration: this.getElapsedTime(),
             numberStats: numberStats.slice(0, 10), // Top 10
             cardStats,
             winners: this.state.winners
@@ -402,30 +1057,89 @@ export class GameEngine {
     getState() {
         return {
             ...this.state,
+            status: this.stateMachine.state,
             cardsData: Array.from(this.cardsData.entries()),
             numberFrequency: Array.from(this.numberFrequency.entries()),
             winningPatterns: Array.from(this.winningPatterns)
         };
     }
     
-    // Reset game
-    reset() {
+    // Serialize the complete engine state to plain JSON
+    serialize() {
+        return {
+            schemaVersion: SNAPSHOT_VERSION,
+            savedAt: Date.now(),
+            status: this.stateMachine.state,
+            settings: { ...this.settings },
+            state: {
+                ...this.state,
+                calledNumbers: Array.from(this.state.calledNumbers)
+            },
+            cards: Array.from(this.cardsData.values()).map(cardData => ({
+                ...cardData,
+                markedNumbers: Array.from(cardData.markedNumbers),
+                patternsCompleted: Array.from(cardData.patternsCompleted),
+                patternProgress: Array.from(cardData.patternProgress.entries())
+            })),
+            numberFrequency: Array.from(this.numberFrequency.entries()),
+            winningPatterns: Array.from(this.winningPatterns),
+            caller: this.caller ? this.caller.toJSON() : null,
+            callInterval: this.autoCaller.interval
+        };
+    }
+    
+    // Restore a serialize() snapshot into this engine, migrating older versions
+    restore(snapshot) {
+        // Copy first so the restored engine never shares objects with the snapshot
+        const data = migrateSnapshot(structuredClone(snapshot));
+        
+        this.autoCaller.stop();
+        this.closeClaimWindow();
+        this.settings = { ...this.settings, ...data.settings };
+        this.setVariant(this.settings.variant || CONFIG.DEFAULT_VARIANT);
         this.state = {
-            gameId: null,
-            selectedCards: [],
-            calledNumbers: new Set(),
-            calledNumbersHistory: [],
-            currentNumber: null,
-            gameStarted: false,
-            gameEnded: false,
-            winners: [],
-            patterns: [],
-            players: [],
-            startTime: null,
-            lastNumberTime: null
+            ...createInitialState(),
+            ...data.state,
+            calledNumbers: new Set(data.state.calledNumbers)
         };
         
+        // Time spent away from a running game counts as paused
+        if (data.status === GAME_STATES.PLAYING) {
+            this.state.pausedDuration += Date.now() - data.savedAt;
+        }
+        
+        this.cardsData = new Map(data.cards.map(card => [card.cardNumber, {
+            ...card,
+            markedNumbers: new Set(card.markedNumbers),
+            patternsCompleted: new Set(card.patternsCompleted),
+            patternProgress: new Map(card.patternProgress)
+        }]));
+        this.indexCards();
+        this.numberFrequency = new Map(data.numberFrequency);
+        this.winningPatterns = new Set(data.winningPatterns);
+        this.caller = data.caller ? NumberCaller.fromJSON(data.caller) : null;
+        this.autoCaller.setInterval(data.callInterval);
+        
+        this.stateMachine.restore(data.status, { gameId: this.state.gameId });
+        return this;
+    }
+    
+    // Create an engine from a serialize() snapshot
+    static hydrate(snapshot, options = {}) {
+        return new GameEngine(options).restore(snapshot);
+    }
+    
+    // Reset game
+    reset() {
+        this.closeClaimWindow();
+        this.state = createInitialState();
+        
+        this.autoCaller.stop();
+        this.stateMachine.reset();
+        this.caller = null;
         this.cardsData.clear();
+        this.numberIndex.clear();
+        this.cardCells.clear();
         this.numberFrequency.clear();
         this.winningPatterns.clear();
     }
@@ -435,11 +1149,19 @@ export class GameEngine {
         return {
             gameId: this.state.gameId,
             startTime: this.state.startTime,
-            endTime: this.state.gameEnded ? Date.now() : null,
+            endTime: this.stateMachine.is(GAME_STATES.FINISHED) ? Date.now() : null,
             selectedCards: this.state.selectedCards,
             calledNumbers: Array.from(this.state.calledNumbers),
             calledNumbersHistory: this.state.calledNumbersHistory,
+            winningPatterns: Array.from(this.winningPatterns),
+            settings: this.settings,
+            fairness: this.state.fairness, // Verify with verifyDraw(fairness, calledNumbersHistory)
             winners: this.state.winners,
+            claims: this.state.claims, // Manual daub claims, with the penalties of false ones
+            stages: this.state.stages.map(stage => ({ ...stage })), // Winners per prize stage
+            payouts: this.state.payouts,
+            jackpot: this.state.jackpot,
+            deck: this.state.deck, // Card numbers only identify cards within this deck
             cardsData: this.getAllCardData(),
             statistics: this.getStatistics()
         };
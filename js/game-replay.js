@@ -0,0 +1,254 @@
+// Game Replay - Rebuilds an exported game one call at a time
+import { CONFIG, GAME_STATES } from './config.js';
+import { EventEmitter } from './event-emitter.js';
+import { GameEngine } from './game-engine.js';
+import { verifyDraw } from './number-caller.js';
+import { isNumberCell } from './bingo-variants.js';
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+export class GameReplay extends EventEmitter {
+    // game: output of GameEngine.exportGameData()
+    constructor(game, options = {}) {
+        super();
+        
+        if (!game || !Array.isArray(game.calledNumbersHistory) || !Array.isArray(game.cardsData)) {
+            throw new Error('Invalid game export: missing call history or cards');
+        }
+        
+        this.game = game;
+        this.history = game.calledNumbersHistory;
+        this.claims = game.claims || [];
+        this.total = this.history.length;
+        this.interval = options.interval || CONFIG.AUTO_CALL.INTERVAL;
+        this.speed = 1;
+        this.timer = null;
+        this.isPlaying = false;
+        
+        this.rebuild();
+    }
+    
+    // Start from an empty board holding the exported cards, played with the game's own settings
+    rebuild() {
+        this.engine = new GameEngine({
+            ...this.game.settings,
+            daubMode: this.game.settings?.daubMode || CONFIG.DAUB.MODES.AUTO, // Older exports were auto daub only
+            prizes: { ...CONFIG.PRIZES.AMOUNTS, ...this.game.settings?.prizes },
+            verbose: false
+        });
+        this.engine.state.gameId = this.game.gameId;
+        this.engine.state.selectedCards = this.game.selectedCards || [];
+        this.engine.loadCardLayouts(this.game.cardsData);
+        this.engine.initializeNumberFrequency();
+        if (this.game.stages && this.game.stages.length > 0) {
+            this.engine.initializeStages(this.game.stages);
+        } else {
+            this.engine.initializeWinningPatterns(this.game.winningPatterns || this.engine.variant.defaultPatterns);
+        }
+        this.engine.stateMachine.transition(GAME_STATES.WAITING, { gameId: this.game.gameId });
+        this.engine.startGame();
+        
+        this.position = 0;
+    }
+    
+    // Play one call per interval, divided by the speed multiplier
+    play() {
+        if (this.isPlaying || this.position >= this.total) return;
+        
+        this.isPlaying = true;
+        this.emit('play', { position: this.position });
+        this.scheduleNext();
+    }
+    
+    // Stop playback at the current call
+    pause() {
+        if (!this.isPlaying) return;
+        
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.isPlaying = false;
+        this.emit('pause', { position: this.position });
+    }
+    
+    // Schedule the next call while playing
+    scheduleNext() {
+        this.timer = setTimeout(() => {
+            this.step();
+            
+            if (this.position >= this.total) {
+                this.pause();
+                this.emit('finished', this.verify());
+            } else if (this.isPlaying) {
+                this.scheduleNext();
+            }
+        }, this.interval / this.speed);
+    }
+    
+    // Apply the next call from the history
+    step() {
+        if (this.position >= this.total) return null;
+        
+        const entry = this.history[this.position];
+        const winnersBefore = this.engine.state.winners.length;
+        
+        // Once a recomputed game ends early, later calls are still shown but no longer scored
+        const numberData = this.applyCall(entry) || entry;
+        
+        const newWinners = this.engine.state.winners.slice(winnersBefore);
+        const result = {
+            position: this.position,
+            total: this.total,
+            numberData,
+            newWinners,
+            discrepancies: this.verify().discrepancies
+        };
+        
+        this.emit('step', result);
+        return result;
+    }
+    
+    // Jump to a position (number of calls applied)
+    seek(position) {
+        const target = Math.max(0, Math.min(this.total, position));
+        
+        // Going backwards requires replaying from the start
+        if (target < this.position) {
+            this.rebuild();
+        }
+        
+        while (this.position < target) {
+            this.applyCall(this.history[this.position]);
+        }
+        
+        const result = {
+            position: this.position,
+            total: this.total,
+            numberData: this.history[this.position - 1] || null,
+            discrepancies: this.verify().discrepancies
+        };
+        
+        this.emit('seek', result);
+        return result;
+    }
+    
+    // Call a number from the history, then replay the claims made on it
+    applyCall(entry) {
+        const numberData = this.engine.callNumber(entry.number);
+        this.position++;
+        this.applyClaims(this.position);
+        return numberData;
+    }
+    
+    // Replay a manual daub game's claims on a call: false claims forfeit their card again,
+    // valid claims are checked again with the cells they won daubed
+    applyClaims(sequence) {
+        if (!this.engine.isManualDaub()) return;
+        
+        this.claims.filter(claim => claim.sequence === sequence).forEach(claim => {
+            if (claim.valid) {
+                this.daubClaimedCells(claim);
+                this.engine.claimBingo(claim.cardNumber, sequence);
+            } else if (claim.penalty?.type === CONFIG.DAUB.PENALTIES.LOSE_CARD) {
+                const cardData = this.engine.getCardData(claim.penalty.cardNumber);
+                if (cardData) {
+                    cardData.disqualified = true;
+                }
+            }
+        });
+    }
+    
+    // Daub the cells of the patterns a claim won in the original game; other daubs weren't exported,
+    // so daubing more could complete patterns the player never claimed
+    daubClaimedCells(claim) {
+        (this.game.winners || [])
+            .filter(winner => this.getOriginalSequence(winner) === claim.sequence)
+            .filter(winner => claim.cardNumber === null || winner.cardNumber === claim.cardNumber)
+            .forEach(winner => {
+                const cardData = this.engine.getCardData(winner.cardNumber);
+                if (!cardData) return;
+                
+                (winner.cells || []).forEach(([row, column]) => {
+                    const cell = cardData.numbers.find(c => c.row === row && c.column === column);
+                    if (cell && isNumberCell(cell)) {
+                        this.engine.daubNumber(winner.cardNumber, cell.number);
+                    }
+                });
+            });
+    }
+    
+    // Change playback speed multiplier
+    setSpeed(speed) {
+        this.speed = speed;
+        this.emit('speed_changed', { speed });
+        
+        if (this.isPlaying) {
+            clearTimeout(this.timer);
+            this.scheduleNext();
+        }
+    }
+    
+    // Sequence at which an original winner was recorded
+    getOriginalSequence(winner) {
+        if (typeof winner.sequence === 'number') {
+            return winner.sequence;
+        }
+        
+        // Older exports only have timestamps
+        return this.history.filter(entry => entry.timestamp <= winner.timestamp).length;
+    }
+    
+    // Compare recomputed winners with the original result up to the current position
+    verify() {
+        const key = winner => `${winner.cardNumber}:${winner.pattern}`;
+        const original = new Map(
+            (this.game.winners || [])
+                .filter(winner => this.getOriginalSequence(winner) <= this.position)
+                .map(winner => [key(winner), winner])
+        );
+        const recomputed = new Map(this.engine.state.winners.map(winner => [key(winner), winner]));
+        const discrepancies = [];
+        
+        original.forEach((winner, id) => {
+            const match = recomputed.get(id);
+            if (!match) {
+                discrepancies.push({ type: 'not_recomputed', cardNumber: winner.cardNumber, pattern: winner.pattern });
+            } else if (match.sequence !== this.getOriginalSequence(winner)) {
+                discrepancies.push({
+                    type: 'different_call',
+                    cardNumber: winner.cardNumber,
+                    pattern: winner.pattern,
+                    originalSequence: this.getOriginalSequence(winner),
+                    recomputedSequence: match.sequence
+                });
+            }
+        });
+        
+        recomputed.forEach((winner, id) => {
+            if (!original.has(id)) {
+                discrepancies.push({ type: 'not_in_original', cardNumber: winner.cardNumber, pattern: winner.pattern });
+            }
+        });
+        
+        return {
+            position: this.position,
+            matches: discrepancies.length === 0,
+            discrepancies
+        };
+    }
+    
+    // Verify the call order against the game's fairness proof
+    async verifyDraw() {
+        return verifyDraw(this.game.fairness, this.history);
+    }
+    
+    // Cards with marks at the current position
+    getCards() {
+        return this.engine.getAllCardData();
+    }
+    
+    // Clean up
+    destroy() {
+        this.pause();
+        this.engine.reset();
+    }
+}
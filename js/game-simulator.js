@@ -0,0 +1,140 @@
+// Game Simulator - Headless Monte Carlo runs of GameEngine for prize balancing
+import { CONFIG } from './config.js';
+import { GameEngine } from './game-engine.js';
+import { getVariant } from './bingo-variants.js';
+
+// Summarize a list of call counts
+function summarizeCalls(calls) {
+    if (calls.length === 0) {
+        return { min: null, max: null, mean: null, median: null, p90: null, histogram: {} };
+    }
+    
+    const sorted = [...calls].sort((a, b) => a - b);
+    const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    const histogram = {};
+    
+    sorted.forEach(count => {
+        histogram[count] = (histogram[count] || 0) + 1;
+    });
+    
+    return {
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        mean: sorted.reduce((sum, count) => sum + count, 0) / sorted.length,
+        median: percentile(0.5),
+        p90: percentile(0.9),
+        histogram // calls needed -> number of games
+    };
+}
+
+export class GameSimulator {
+    // options.games: number of games to run
+    // options.cards: card numbers in play (defaults to every card)
+    // options.variant: BINGO_VARIANTS id
+    // options.patterns / options.stages: what to play (defaults to the variant's)
+    // options.seed: base seed; game i uses `${seed}:${i}` so runs are reproducible
+    constructor(options = {}) {
+        this.variant = getVariant(options.variant);
+        this.games = options.games || 1000;
+        this.cards = options.cards || Array.from(
+            { length: CONFIG.MAX_CARDS - CONFIG.MIN_CARDS + 1 },
+            (_, i) => CONFIG.MIN_CARDS + i
+        );
+        this.patterns = options.patterns || null;
+        this.stages = options.stages || null;
+        this.seed = options.seed || null;
+        this.onProgress = options.onProgress || (() => {});
+    }
+    
+    // Play one game to the end and return its winners
+    async runGame(index) {
+        const engine = new GameEngine({
+            variant: this.variant.id,
+            daubMode: CONFIG.DAUB.MODES.AUTO,
+            verbose: false
+        });
+        
+        await engine.init(this.cards, {
+            seed: this.seed ? `${this.seed}:${index}` : undefined,
+            patterns: this.patterns || undefined,
+            stages: this.stages || undefined
+        });
+        engine.startGame();
+        
+        while (engine.isActive() && engine.drawNumber() !== null);
+        
+        return {
+            patterns: Array.from(new Set([
+                ...engine.state.stages.map(stage => stage.pattern),
+                ...engine.winningPatterns
+            ])),
+            winners: engine.state.winners,
+            totalCalls: engine.state.calledNumbers.size
+        };
+    }
+    
+    // Run every game and build the report
+    async run() {
+        const startedAt = Date.now();
+        const calls = {};        // pattern -> calls needed per game
+        const simultaneous = {}; // pattern -> games with more than one first winner
+        const names = {};
+        const cardWins = {};
+        
+        for (let i = 0; i < this.games; i++) {
+            const game = await this.runGame(i);
+            
+            game.patterns.forEach(pattern => {
+                calls[pattern] = calls[pattern] || [];
+                simultaneous[pattern] = simultaneous[pattern] || 0;
+                
+                const winners = game.winners.filter(winner => winner.pattern === pattern);
+                if (winners.length === 0) return;
+                
+                // Only the cards completing the pattern on the earliest call take the prize
+                const firstCall = Math.min(...winners.map(winner => winner.sequence));
+                const firstWinners = winners.filter(winner => winner.sequence === firstCall);
+                
+                names[pattern] = firstWinners[0].patternName;
+                calls[pattern].push(firstCall);
+                if (firstWinners.length > 1) {
+                    simultaneous[pattern]++;
+                }
+                firstWinners.forEach(winner => {
+                    cardWins[winner.cardNumber] = (cardWins[winner.cardNumber] || 0) + 1;
+                });
+            });
+            
+            this.onProgress(i + 1, this.games);
+        }
+        
+        const patterns = {};
+        Object.keys(calls).forEach(pattern => {
+            patterns[pattern] = {
+                name: names[pattern] || pattern,
+                gamesWon: calls[pattern].length,
+                winRate: calls[pattern].length / this.games,
+                calls: summarizeCalls(calls[pattern]),
+                simultaneousWinRate: calls[pattern].length > 0
+                    ? simultaneous[pattern] / calls[pattern].length
+                    : 0
+            };
+        });
+        
+        return {
+            variant: this.variant.id,
+            games: this.games,
+            cardCount: this.cards.length,
+            seed: this.seed,
+            stages: this.stages,
+            patterns,
+            cardWins, // card number -> prizes won (shared prizes count for each card)
+            durationMs: Date.now() - startedAt
+        };
+    }
+    
+    // Run and return the report as a JSON string
+    async runToJSON() {
+        return JSON.stringify(await this.run(), null, 2);
+    }
+}
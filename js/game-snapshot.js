@@ -0,0 +1,39 @@
+// Game Snapshot - Versioning and migrations for serialized game engine state
+
+// Bump when the shape returned by GameEngine.serialize() changes
+export const SNAPSHOT_VERSION = 1;
+
+// Migration hooks: version -> function upgrading a snapshot to version + 1
+export const SNAPSHOT_MIGRATIONS = {};
+
+// Register a migration from one snapshot version to the next
+export function registerSnapshotMigration(fromVersion, migrate) {
+    SNAPSHOT_MIGRATIONS[fromVersion] = migrate;
+}
+
+// Upgrade a snapshot to the current version
+export function migrateSnapshot(snapshot) {
+    if (!snapshot || typeof snapshot.schemaVersion !== 'number') {
+        throw new Error('Invalid game snapshot: missing schema version');
+    }
+    
+    if (snapshot.schemaVersion > SNAPSHOT_VERSION) {
+        throw new Error(`Game snapshot version ${snapshot.schemaVersion} is newer than supported version ${SNAPSHOT_VERSION}`);
+    }
+    
+    let migrated = snapshot;
+    
+    while (migrated.schemaVersion < SNAPSHOT_VERSION) {
+        const migrate = SNAPSHOT_MIGRATIONS[migrated.schemaVersion];
+        if (!migrate) {
+            throw new Error(`No migration for game snapshot version ${migrated.schemaVersion}`);
+        }
+        
+        migrated = {
+            ...migrate(migrated),
+            schemaVersion: migrated.schemaVersion + 1
+        };
+    }
+    
+    return migrated;
+}
@@ -0,0 +1,88 @@
+// Game State Machine - Single source of truth for the game lifecycle
+import { GAME_STATES } from './config.js';
+import { EventEmitter } from './event-emitter.js';
+
+// Allowed transitions from each state
+export const GAME_TRANSITIONS = {
+    [GAME_STATES.IDLE]: [GAME_STATES.SELECTING_CARDS, GAME_STATES.WAITING],
+    [GAME_STATES.SELECTING_CARDS]: [GAME_STATES.WAITING, GAME_STATES.IDLE],
+    [GAME_STATES.WAITING]: [GAME_STATES.PLAYING, GAME_STATES.SELECTING_CARDS, GAME_STATES.IDLE],
+    [GAME_STATES.PLAYING]: [GAME_STATES.PAUSED, GAME_STATES.FINISHED],
+    [GAME_STATES.PAUSED]: [GAME_STATES.PLAYING, GAME_STATES.FINISHED],
+    [GAME_STATES.FINISHED]: [GAME_STATES.SELECTING_CARDS, GAME_STATES.IDLE]
+};
+
+export class GameStateMachine extends EventEmitter {
+    constructor(initialState = GAME_STATES.IDLE) {
+        super();
+        this.state = initialState;
+        this.history = [];
+    }
+    
+    // Check if a transition to the given state is allowed
+    can(to) {
+        return (GAME_TRANSITIONS[this.state] || []).includes(to);
+    }
+    
+    // Check the current state
+    is(state) {
+        return this.state === state;
+    }
+    
+    // Move to a new state
+    // Emits 'transition', 'exit:<from>' and 'enter:<to>' with { from, to, detail, timestamp }
+    transition(to, detail = {}) {
+        const from = this.state;
+        
+        if (!this.can(to)) {
+            this.emit('rejected', { from, to, detail, timestamp: Date.now() });
+            throw new Error(`Illegal game state transition: ${from} -> ${to}`);
+        }
+        
+        const event = { from, to, detail, timestamp: Date.now() };
+        this.state = to;
+        this.history.push(event);
+        
+        this.emit(`exit:${from}`, event);
+        this.emit(`enter:${to}`, event);
+        this.emit('transition', event);
+        
+        return event;
+    }
+    
+    // Move to a new state only if allowed
+    tryTransition(to, detail = {}) {
+        return this.can(to) ? this.transition(to, detail) : null;
+    }
+    
+    // Jump straight to a saved state when resuming a game
+    restore(state, detail = {}) {
+        if (!GAME_TRANSITIONS[state]) {
+            throw new Error(`Unknown game state: ${state}`);
+        }
+        
+        const event = { from: this.state, to: state, detail: { ...detail, restored: true }, timestamp: Date.now() };
+        this.state = state;
+        
+        this.emit(`enter:${state}`, event);
+        this.emit('transition', event);
+        
+        return event;
+    }
+    
+    // Return to IDLE from any state
+    reset(detail = {}) {
+        const from = this.state;
+        if (from === GAME_STATES.IDLE) return null;
+        
+        const event = { from, to: GAME_STATES.IDLE, detail, timestamp: Date.now() };
+        this.state = GAME_STATES.IDLE;
+        this.history = [];
+        
+        this.emit(`exit:${from}`, event);
+        this.emit(`enter:${GAME_STATES.IDLE}`, event);
+        this.emit('transition', event);
+        
+        return event;
+    }
+}
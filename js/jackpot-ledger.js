@@ -0,0 +1,124 @@
+// Jackpot Ledger - Progressive jackpot that rolls over between games
+import { CONFIG } from './config.js';
+
+export class JackpotLedger {
+    // offlineManager: stores the ledger locally and queues updates for the server
+    constructor(offlineManager, variantId = CONFIG.DEFAULT_VARIANT) {
+        this.offlineManager = offlineManager;
+        this.variantId = variantId;
+        this.ledger = null;
+    }
+    
+    // Storage key; each variant keeps its own jackpot
+    getStorageKey() {
+        return `${CONFIG.JACKPOT.STORAGE_KEY}_${this.variantId}`;
+    }
+    
+    // Starting ledger for a variant
+    createLedger() {
+        return {
+            variant: this.variantId,
+            pattern: CONFIG.JACKPOT.PATTERN,
+            maxCalls: CONFIG.JACKPOT.MAX_CALLS[this.variantId],
+            amount: CONFIG.JACKPOT.SEED_AMOUNT,
+            rollovers: 0,
+            history: [],
+            updatedAt: Date.now()
+        };
+    }
+    
+    // Switch to another variant's jackpot
+    setVariant(variantId) {
+        if (variantId === this.variantId) return;
+        
+        this.variantId = variantId;
+        this.ledger = null;
+    }
+    
+    // Load the ledger from the server, falling back to the offline copy
+    async load() {
+        if (navigator.onLine) {
+            try {
+                const response = await fetch(
+                    `${CONFIG.API_BASE_URL}${CONFIG.API_ENDPOINTS.JACKPOT}/${this.variantId}`
+                );
+                if (response.ok) {
+                    this.ledger = await response.json();
+                    await this.offlineManager.storeData(this.getStorageKey(), this.ledger);
+                    return this.ledger;
+                }
+            } catch (error) {
+                console.warn('Failed to load jackpot from server, using offline copy:', error);
+            }
+        }
+        
+        try {
+            this.ledger = await this.offlineManager.getData(this.getStorageKey());
+        } catch (error) {
+            console.error('Failed to load offline jackpot:', error);
+        }
+        
+        // Fallback to localStorage
+        if (!this.ledger) {
+            const saved = localStorage.getItem(this.getStorageKey());
+            this.ledger = saved ? JSON.parse(saved) : this.createLedger();
+        }
+        return this.ledger;
+    }
+    
+    // Jackpot terms for GameEngine.init({ jackpot })
+    getTerms() {
+        const { pattern, maxCalls, amount } = this.ledger || this.createLedger();
+        return { pattern, maxCalls, amount };
+    }
+    
+    // Record a finished game's jackpot result: reset when won, roll over when not
+    // Only the local copy changes; the server settles the shared jackpot once per game,
+    // and the next load() takes its amount over this one
+    // jackpot: GameEngine.endGame() result.jackpot
+    async settle(gameId, jackpot) {
+        if (!jackpot) return this.ledger;
+        if (!this.ledger) {
+            await this.load();
+        }
+        
+        // A restored game can end again; count it once
+        if (this.ledger.history.some(entry => entry.gameId === gameId)) {
+            return this.ledger;
+        }
+        
+        this.ledger.history.push({
+            gameId,
+            amount: jackpot.amount,
+            won: jackpot.won,
+            sequence: jackpot.sequence,
+            cardNumbers: jackpot.cardNumbers,
+            timestamp: Date.now()
+        });
+        this.ledger.history = this.ledger.history.slice(-CONFIG.JACKPOT.HISTORY_LIMIT);
+        
+        if (jackpot.won) {
+            this.ledger.amount = CONFIG.JACKPOT.SEED_AMOUNT;
+            this.ledger.rollovers = 0;
+        } else {
+            this.ledger.amount += CONFIG.JACKPOT.ROLLOVER_INCREMENT;
+            this.ledger.rollovers++;
+        }
+        this.ledger.updatedAt = Date.now();
+        
+        await this.save();
+        return this.ledger;
+    }
+    
+    // Persist the local copy
+    async save() {
+        try {
+            const stored = await this.offlineManager.storeData(this.getStorageKey(), this.ledger);
+            if (!stored) {
+                localStorage.setItem(this.getStorageKey(), JSON.stringify(this.ledger));
+            }
+        } catch (error) {
+            console.error('Failed to save jackpot ledger:', error);
+        }
+    }
+}
@@ -0,0 +1,133 @@
+// Mock API - Answers card reservation requests locally so holds work without a server
+//
+// Reservations live in localStorage, which every tab of the app shares: open two tabs
+// to act as two players. Requests the mock does not know are passed on to the network.
+import { CONFIG } from './config.js';
+
+export class MockApi {
+    constructor({ storage = localStorage, latency = CONFIG.MOCK_API.LATENCY } = {}) {
+        this.storage = storage;
+        this.latency = latency;
+        this.realFetch = null;
+    }
+    
+    // Route fetch() calls for CONFIG.API_BASE_URL through the mock
+    install() {
+        if (this.realFetch) return;
+        
+        this.realFetch = globalThis.fetch.bind(globalThis);
+        globalThis.fetch = (input, init = {}) => this.fetch(input, init);
+        console.log('Mock API installed for', CONFIG.API_BASE_URL);
+    }
+    
+    // Restore the real fetch()
+    uninstall() {
+        if (!this.realFetch) return;
+        
+        globalThis.fetch = this.realFetch;
+        this.realFetch = null;
+    }
+    
+    // fetch() replacement
+    async fetch(input, init = {}) {
+        const url = typeof input === 'string' ? input : input.url;
+        const method = (init.method || 'GET').toUpperCase();
+        const body = init.body ? JSON.parse(init.body) : null;
+        
+        const result = url.startsWith(CONFIG.API_BASE_URL)
+            ? this.handle(method, url.slice(CONFIG.API_BASE_URL.length), body)
+            : null;
+        if (!result) {
+            return this.realFetch(input, init);
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, this.latency));
+        return new Response(JSON.stringify(result.body), {
+            status: result.status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    
+    // Answer a request; returns { status, body } or null for requests the mock does not serve
+    handle(method, path, body) {
+        const match = new RegExp(`^${CONFIG.API_ENDPOINTS.RESERVATIONS}/(\\w+)$`).exec(path.split('?')[0]);
+        if (!match) return null;
+        
+        const variant = match[1];
+        switch (method) {
+            case 'GET':
+                return { status: 200, body: { reservations: this.listReservations(variant) } };
+            case 'POST':
+                if (!body?.playerId || !Array.isArray(body.cardNumbers)) {
+                    return { status: 400, body: { error: 'playerId and cardNumbers are required' } };
+                }
+                return { status: 200, body: this.reserve(variant, body.playerId, body.cardNumbers, body.ttl) };
+            case 'DELETE':
+                if (!body?.playerId || !Array.isArray(body.cardNumbers)) {
+                    return { status: 400, body: { error: 'playerId and cardNumbers are required' } };
+                }
+                return { status: 200, body: this.release(variant, body.playerId, body.cardNumbers) };
+        }
+        return { status: 405, body: { error: `${method} not allowed` } };
+    }
+    
+    // Unexpired holds of a variant: { [cardNumber]: { playerId, expiresAt } }
+    loadHolds(variant) {
+        const all = JSON.parse(this.storage.getItem(CONFIG.STORAGE_KEYS.MOCK_RESERVATIONS) || '{}');
+        const holds = all[variant] || {};
+        const now = Date.now();
+        
+        Object.keys(holds).forEach(cardNumber => {
+            if (holds[cardNumber].expiresAt <= now) {
+                delete holds[cardNumber];
+            }
+        });
+        return holds;
+    }
+    
+    // Save the holds of a variant
+    saveHolds(variant, holds) {
+        const all = JSON.parse(this.storage.getItem(CONFIG.STORAGE_KEYS.MOCK_RESERVATIONS) || '{}');
+        all[variant] = holds;
+        this.storage.setItem(CONFIG.STORAGE_KEYS.MOCK_RESERVATIONS, JSON.stringify(all));
+    }
+    
+    // Every current hold
+    listReservations(variant) {
+        return Object.entries(this.loadHolds(variant)).map(([cardNumber, hold]) => ({
+            cardNumber: parseInt(cardNumber, 10),
+            ...hold
+        }));
+    }
+    
+    // Place or renew holds; cards another player holds are rejected
+    reserve(variant, playerId, cardNumbers, ttl = CONFIG.RESERVATION.TTL) {
+        const holds = this.loadHolds(variant);
+        const expiresAt = Date.now() + Math.min(ttl, CONFIG.RESERVATION.TTL);
+        const held = [];
+        const rejected = [];
+        
+        cardNumbers.forEach(cardNumber => {
+            const hold = holds[cardNumber];
+            if (hold && hold.playerId !== playerId) {
+                rejected.push({ cardNumber, expiresAt: hold.expiresAt });
+                return;
+            }
+            holds[cardNumber] = { playerId, expiresAt };
+            held.push({ cardNumber, expiresAt });
+        });
+        
+        this.saveHolds(variant, holds);
+        return { held, rejected };
+    }
+    
+    // Drop a player's holds
+    release(variant, playerId, cardNumbers) {
+        const holds = this.loadHolds(variant);
+        const released = cardNumbers.filter(cardNumber => holds[cardNumber]?.playerId === playerId);
+        
+        released.forEach(cardNumber => delete holds[cardNumber]);
+        this.saveHolds(variant, holds);
+        return { released };
+    }
+}
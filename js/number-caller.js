@@ -0,0 +1,101 @@
+// Number Caller - Provably fair ball draws from a committed seed
+import { CONFIG } from './config.js';
+import { createSeededRandom, shuffle, generateSeed, sha256Hex } from './seeded-random.js';
+
+export const DRAW_ALGORITHM = 'sha256-commit/sfc32-fisher-yates/v1';
+
+// Build the ball set 1..ballCount
+export function createBallSet(ballCount = CONFIG.BINGO_NUMBERS) {
+    return Array.from({ length: ballCount }, (_, i) => i + 1);
+}
+
+// Compute the full draw order for a seed
+export function computeDrawOrder(seed, ballCount = CONFIG.BINGO_NUMBERS) {
+    return shuffle(createBallSet(ballCount), createSeededRandom(seed));
+}
+
+export class NumberCaller {
+    constructor(seed = generateSeed(), ballCount = CONFIG.BINGO_NUMBERS) {
+        this.seed = seed;
+        this.ballCount = ballCount;
+        this.seedHash = null;
+        this.drawOrder = computeDrawOrder(seed, ballCount);
+        this.position = 0;
+    }
+    
+    // Compute the commitment hash published at game start
+    async commit() {
+        this.seedHash = await sha256Hex(this.seed);
+        return this.seedHash;
+    }
+    
+    // Next ball in the pre-shuffled order, or null when exhausted
+    next() {
+        if (this.position >= this.drawOrder.length) {
+            return null;
+        }
+        return this.drawOrder[this.position++];
+    }
+    
+    // Number of balls left to call
+    remaining() {
+        return this.drawOrder.length - this.position;
+    }
+    
+    // Full caller state for game snapshots (includes the unrevealed seed)
+    toJSON() {
+        return {
+            seed: this.seed,
+            ballCount: this.ballCount,
+            seedHash: this.seedHash,
+            position: this.position
+        };
+    }
+    
+    // Rebuild a caller from toJSON() output
+    static fromJSON(data) {
+        const caller = new NumberCaller(data.seed, data.ballCount);
+        caller.seedHash = data.seedHash;
+        caller.position = data.position;
+        return caller;
+    }
+    
+    // Public proof; the seed is only included once revealed
+    getProof(revealSeed = false) {
+        return {
+            algorithm: DRAW_ALGORITHM,
+            ballCount: this.ballCount,
+            seedHash: this.seedHash,
+            seed: revealSeed ? this.seed : null
+        };
+    }
+}
+
+// Verify a revealed proof against a called numbers history
+// Returns { valid, reason }
+export async function verifyDraw(proof, calledNumbers) {
+    if (!proof || !proof.seed) {
+        return { valid: false, reason: 'seed_not_revealed' };
+    }
+    
+    if (proof.algorithm !== DRAW_ALGORITHM) {
+        return { valid: false, reason: 'unknown_algorithm' };
+    }
+    
+    if (await sha256Hex(proof.seed) !== proof.seedHash) {
+        return { valid: false, reason: 'seed_hash_mismatch' };
+    }
+    
+    const expected = computeDrawOrder(proof.seed, proof.ballCount);
+    const numbers = calledNumbers.map(entry =>
+        typeof entry === 'object' ? entry.number : entry
+    );
+    
+    for (let i = 0; i < numbers.length; i++) {
+        if (numbers[i] !== expected[i]) {
+            return { valid: false, reason: `mismatch_at_call_${i + 1}` };
+        }
+    }
+    
+    return { valid: true, reason: 'verified' };
+}
@@ -425,6 +425,23 @@ export class OfflineManager {
         }
     }
     
+    // Queue game state changes made while offline for later sync
+    observeGameState(stateMachine) {
+        stateMachine.on('transition', ({ from, to, detail, timestamp }) => {
+            if (navigator.onLine) return;
+            
+            this.queueAction('game_action', {
+                action: 'state_transition',
+                gameId: detail.gameId,
+                from,
+                to,
+                timestamp
+            }).catch(error => {
+                console.error('Failed to queue state transition:', error);
+            });
+        });
+    }
+    
     // Check if there are pending actions
     hasPendingActions() {
         return this.pendingActions.size > 0 || this.syncQueue.length > 0;
@@ -0,0 +1,330 @@
+// Pattern Registry - Declarative win patterns built from card-sized masks
+import { BINGO_VARIANTS } from './config.js';
+
+export const PATTERN_SIZE = 5;
+
+// Build a boolean mask from rows of 'X' (required) and '.' (ignored)
+export function parseMask(rows) {
+    return rows.map(row => row.split('').map(char => char === 'X'));
+}
+
+// Bit for a cell; cells are numbered row by row (fits 32 bits for every variant)
+export function cellBit(row, column, columns = PATTERN_SIZE) {
+    return 1 << (row * columns + column);
+}
+
+// Compile a boolean mask into a bitmask of required cells
+export function maskToBits(mask, columns = PATTERN_SIZE) {
+    let bits = 0;
+    mask.forEach((row, r) => row.forEach((cell, c) => {
+        if (cell) bits |= cellBit(r, c, columns);
+    }));
+    return bits;
+}
+
+// Number of set bits
+function countBits(bits) {
+    let count = 0;
+    while (bits) {
+        bits &= bits - 1;
+        count++;
+    }
+    return count;
+}
+
+// Combine several masks into one that requires every cell of each
+function unionMasks(masks) {
+    return masks.reduce((union, mask) =>
+        union.map((row, r) => row.map((cell, c) => cell || mask[r][c]))
+    );
+}
+
+// Check that a mask is a rows x columns grid of booleans with at least one required cell
+function isValidMask(mask, rows, columns) {
+    return Array.isArray(mask) &&
+           mask.length === rows &&
+           mask.every(row => Array.isArray(row) &&
+                             row.length === columns &&
+                             row.every(cell => typeof cell === 'boolean')) &&
+           mask.some(row => row.includes(true));
+}
+
+export class PatternRegistry {
+    // Masks registered here must match the card layout (5x5 for 75-ball)
+    constructor({ rows = PATTERN_SIZE, columns = PATTERN_SIZE } = {}) {
+        this.rows = rows;
+        this.columns = columns;
+        this.patterns = new Map();
+    }
+    
+    // Register a pattern
+    // definition: { name, masks, anyOf = true }
+    // masks may be boolean grids or row strings (see parseMask).
+    // With anyOf, completing any single mask wins (e.g. the LINE family);
+    // otherwise every mask must be completed together.
+    register(id, definition) {
+        const { name = id, anyOf = true } = definition;
+        const masks = (definition.masks || []).map(mask =>
+            typeof mask[0] === 'string' ? parseMask(mask) : mask
+        );
+        
+        if (masks.length === 0 || !masks.every(mask => isValidMask(mask, this.rows, this.columns))) {
+            throw new Error(`Invalid masks for pattern ${id}`);
+        }
+        
+        const compiled = anyOf ? masks : [unionMasks(masks)];
+        
+        this.patterns.set(id, {
+            id,
+            name,
+            anyOf,
+            masks: compiled,
+            bits: compiled.map(mask => maskToBits(mask, this.columns))
+        });
+        
+        return this;
+    }
+    
+    // Remove a pattern
+    unregister(id) {
+        return this.patterns.delete(id);
+    }
+    
+    // Check if a pattern is registered
+    has(id) {
+        return this.patterns.has(id);
+    }
+    
+    // Get a pattern definition
+    get(id) {
+        return this.patterns.get(id) || null;
+    }
+    
+    // Get all registered pattern ids
+    getIds() {
+        return Array.from(this.patterns.keys());
+    }
+    
+    // Cells ([row, column]) set in a bitmask
+    cellsOf(bits) {
+        const cells = [];
+        for (let index = 0; index < this.rows * this.columns; index++) {
+            if (bits & (1 << index)) {
+                cells.push([Math.floor(index / this.columns), index % this.columns]);
+            }
+        }
+        return cells;
+    }
+    
+    // Find the first mask of a pattern fully covered by marked cells; one AND/compare per mask
+    // markedBits: marked cells as built with cellBit()
+    matchBits(id, markedBits) {
+        const pattern = this.patterns.get(id);
+        if (!pattern) return null;
+        
+        const maskIndex = pattern.bits.findIndex(bits => (markedBits & bits) === bits);
+        if (maskIndex === -1) return null;
+        
+        return {
+            patternId: id,
+            maskIndex,
+            mask: pattern.masks[maskIndex],
+            cells: this.cellsOf(pattern.bits[maskIndex])
+        };
+    }
+    
+    // Find the mask of a pattern with the fewest unmarked cells
+    // Returns { patternId, maskIndex, mask, missingCells }
+    progressBits(id, markedBits) {
+        const pattern = this.patterns.get(id);
+        if (!pattern) return null;
+        
+        let bestIndex = 0;
+        let bestMissing = Infinity;
+        
+        pattern.bits.forEach((bits, maskIndex) => {
+            const missing = countBits(bits & ~markedBits);
+            if (missing < bestMissing) {
+                bestIndex = maskIndex;
+                bestMissing = missing;
+            }
+        });
+        
+        return {
+            patternId: id,
+            maskIndex: bestIndex,
+            mask: pattern.masks[bestIndex],
+            missingCells: this.cellsOf(pattern.bits[bestIndex] & ~markedBits)
+        };
+    }
+}
+
+// Empty rows x columns mask
+function emptyMask(rows, columns) {
+    return Array(rows).fill().map(() => Array(columns).fill(false));
+}
+
+// Mask with every cell required
+function fullMask(rows, columns) {
+    return Array(rows).fill().map(() => Array(columns).fill(true));
+}
+
+// One mask per complete row
+function rowMasks(rows, columns) {
+    return Array.from({ length: rows }, (_, r) =>
+        fullMask(rows, columns).map((row, i) => row.map(() => i === r))
+    );
+}
+
+// Generate every row, column and diagonal of a square card as separate masks
+function lineMasks(size = PATTERN_SIZE) {
+    const masks = [];
+    
+    for (let i = 0; i < size; i++) {
+        const row = emptyMask(size, size);
+        const column = emptyMask(size, size);
+        for (let j = 0; j < size; j++) {
+            row[i][j] = true;
+            column[j][i] = true;
+        }
+        masks.push(row, column);
+    }
+    
+    const diagonal = emptyMask(size, size);
+    const antiDiagonal = emptyMask(size, size);
+    for (let i = 0; i < size; i++) {
+        diagonal[i][i] = true;
+        antiDiagonal[i][size - 1 - i] = true;
+    }
+    masks.push(diagonal, antiDiagonal);
+    
+    return masks;
+}
+
+// Register the built-in game night patterns
+export function registerDefaultPatterns(registry) {
+    registry
+        .register('LINE', { name: 'Line', masks: lineMasks() })
+        .register('FOUR_CORNERS', {
+            name: 'Four Corners',
+            masks: [['X...X', '.....', '.....', '.....', 'X...X']]
+        })
+        .register('BLACKOUT', {
+            name: 'Blackout',
+            masks: [['XXXXX', 'XXXXX', 'XXXXX', 'XXXXX', 'XXXXX']]
+        })
+        .register('X', {
+            name: 'X',
+            masks: [['X...X', '.X.X.', '..X..', '.X.X.', 'X...X']]
+        })
+        .register('T', {
+            name: 'T',
+            masks: [['XXXXX', '..X..', '..X..', '..X..', '..X..']]
+        })
+        .register('L', {
+            name: 'L',
+            masks: [['X....', 'X....', 'X....', 'X....', 'XXXXX']]
+        })
+        .register('POSTAGE_STAMP', {
+            name: 'Postage Stamp',
+            masks: [
+                ['XX...', 'XX...', '.....', '.....', '.....'],
+                ['...XX', '...XX', '.....', '.....', '.....'],
+                ['.....', '.....', '.....', 'XX...', 'XX...'],
+                ['.....', '.....', '.....', '...XX', '...XX']
+            ]
+        })
+        .register('PICTURE_FRAME', {
+            name: 'Picture Frame',
+            masks: [['XXXXX', 'X...X', 'X...X', 'X...X', 'XXXXX']]
+        })
+        .register('INNER_SQUARE', {
+            name: 'Inner Square',
+            masks: [['.....', '.XXX.', '.XXX.', '.XXX.', '.....']]
+        })
+        .register('LETTER_C', {
+            name: 'Letter C',
+            masks: [['XXXXX', 'X....', 'X....', 'X....', 'XXXXX']]
+        })
+        .register('LETTER_E', {
+            name: 'Letter E',
+            masks: [['XXXXX', 'X....', 'XXXXX', 'X....', 'XXXXX']]
+        })
+        .register('LETTER_H', {
+            name: 'Letter H',
+            masks: [['X...X', 'X...X', 'XXXXX', 'X...X', 'X...X']]
+        })
+        .register('LETTER_N', {
+            name: 'Letter N',
+            masks: [['X...X', 'XX..X', 'X.X.X', 'X..XX', 'X...X']]
+        })
+        .register('LETTER_U', {
+            name: 'Letter U',
+            masks: [['X...X', 'X...X', 'X...X', 'X...X', 'XXXXX']]
+        })
+        .register('LETTER_Z', {
+            name: 'Letter Z',
+            masks: [['XXXXX', '...X.', '..X..', '.X...', 'XXXXX']]
+        });
+    
+    return registry;
+}
+
+// Register 90-ball prizes; blank cells count as marked, so a row mask covers the whole row
+export function registerNinetyBallPatterns(registry) {
+    const rows = rowMasks(registry.rows, registry.columns);
+    const twoLines = [];
+    
+    rows.forEach((first, i) => {
+        rows.slice(i + 1).forEach(second => {
+            twoLines.push(first.map((row, r) => row.map((cell, c) => cell || second[r][c])));
+        });
+    });
+    
+    return registry
+        .register('ONE_LINE', { name: 'One Line', masks: rows })
+        .register('TWO_LINES', { name: 'Two Lines', masks: twoLines })
+        .register('BLACKOUT', { name: 'Full House', masks: [fullMask(registry.rows, registry.columns)] });
+}
+
+// Register 80-ball (4x4) prizes
+export function registerEightyBallPatterns(registry) {
+    return registry
+        .register('LINE', { name: 'Line', masks: lineMasks(4) })
+        .register('FOUR_CORNERS', {
+            name: 'Four Corners',
+            masks: [['X..X', '....', '....', 'X..X']]
+        })
+        .register('CENTER_SQUARE', {
+            name: 'Center Square',
+            masks: [['....', '.XX.', '.XX.', '....']]
+        })
+        .register('BLACKOUT', { name: 'Blackout', masks: [fullMask(4, 4)] });
+}
+
+// Register 30-ball (3x3) prizes
+export function registerThirtyBallPatterns(registry) {
+    return registry
+        .register('LINE', { name: 'Line', masks: lineMasks(3) })
+        .register('BLACKOUT', { name: 'Full House', masks: [fullMask(3, 3)] });
+}
+
+// Shared registry used by the game engine (75-ball)
+export const patternRegistry = registerDefaultPatterns(new PatternRegistry());
+
+// Registries for every variant, keyed by variant id
+const variantRegistries = {
+    US_75: patternRegistry,
+    UK_90: registerNinetyBallPatterns(new PatternRegistry(BINGO_VARIANTS.UK_90)),
+    BALL_80: registerEightyBallPatterns(new PatternRegistry(BINGO_VARIANTS.BALL_80)),
+    SPEED_30: registerThirtyBallPatterns(new PatternRegistry(BINGO_VARIANTS.SPEED_30))
+};
+
+// Get the pattern registry for a variant
+export function getPatternRegistry(variantId) {
+    const registry = variantRegistries[variantId];
+    if (!registry) {
+        throw new Error(`No patterns registered for variant ${variantId}`);
+    }
+    return registry;
+}
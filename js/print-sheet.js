@@ -0,0 +1,87 @@
+// Print Sheet - Print-ready pages of cards for players without phones
+import { CONFIG } from './config.js';
+import { createQRCodeSVG } from './qr-code.js';
+
+export class PrintSheet {
+    constructor(cardManager, uiManager) {
+        this.cardManager = cardManager;
+        this.uiManager = uiManager;
+    }
+    
+    // Link encoded in a card's QR code; opens the card in the app
+    getCardUrl(cardNumber, deck, gameId) {
+        const url = new URL(CONFIG.PRINT.CARD_URL || window.location.pathname, window.location.origin);
+        url.searchParams.set('card', cardNumber);
+        url.searchParams.set('deck', deck.hash.slice(0, CONFIG.PRINT.FINGERPRINT_LENGTH));
+        if (gameId) {
+            url.searchParams.set('game', gameId);
+        }
+        return url.toString();
+    }
+    
+    // Build the printable pages for a set of cards
+    // options.perPage: cards per page; options.gameId: game the cards are printed for
+    async render(cardNumbers, { perPage = CONFIG.PRINT.CARDS_PER_PAGE, gameId = null } = {}) {
+        const deck = await this.cardManager.getDeckFingerprint();
+        const cards = await Promise.all(
+            cardNumbers.map(cardNumber => this.cardManager.getCardData(cardNumber))
+        );
+        
+        let html = `<div class="print-sheet per-page-${perPage}">`;
+        for (let i = 0; i < cards.length; i += perPage) {
+            html += '<section class="print-page">';
+            html += cards.slice(i, i + perPage).map(card => this.renderCard(card, deck, gameId)).join('');
+            html += '</section>';
+        }
+        html += '</div>';
+        
+        return html;
+    }
+    
+    // One printed card: number, game, grid, QR link and deck fingerprint
+    renderCard(cardData, deck, gameId) {
+        // Copy the cells; the preview sorts them in place
+        const grid = this.uiManager.createBingoCardPreview({ ...cardData, numbers: [...cardData.numbers] });
+        const fingerprint = deck.hash.slice(0, CONFIG.PRINT.FINGERPRINT_LENGTH);
+        
+        return `
+            <article class="print-card">
+                <header class="print-card-header">
+                    <span class="print-card-number">Card #${cardData.cardNumber}</span>
+                    <span class="print-card-game">${gameId ? `Game ID: ${gameId}` : ''}</span>
+                </header>
+                ${grid}
+                <footer class="print-card-footer">
+                    ${createQRCodeSVG(this.getCardUrl(cardData.cardNumber, deck, gameId))}
+                    <div class="print-card-meta">
+                        <div>Deck ${deck.variant} · generator v${deck.generatorVersion}</div>
+                        <div class="print-fingerprint">${fingerprint}</div>
+                    </div>
+                </footer>
+            </article>
+        `;
+    }
+    
+    // Open the print dialog for the cards; the sheet is removed once printing finishes
+    async print(cardNumbers, options = {}) {
+        this.clear();
+        
+        const container = document.createElement('div');
+        container.id = 'printSheet';
+        container.innerHTML = await this.render(cardNumbers, options);
+        document.body.appendChild(container);
+        document.body.classList.add('printing');
+        
+        window.addEventListener('afterprint', () => this.clear(), { once: true });
+        window.print();
+    }
+    
+    // Remove the print sheet
+    clear() {
+        const container = document.getElementById('printSheet');
+        if (container) {
+            container.remove();
+        }
+        document.body.classList.remove('printing');
+    }
+}
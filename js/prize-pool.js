@@ -0,0 +1,111 @@
+// Prize Pool - Prize amounts per pattern or stage and how tied winners share them
+import { CONFIG } from './config.js';
+import { createSeededRandom, shuffle } from './seeded-random.js';
+import { createBallSet } from './number-caller.js';
+
+// Split an amount into equal shares to the cent; leftover cents go to the first shares
+export function splitAmount(amount, shares) {
+    const cents = Math.round(amount * 100);
+    const base = Math.floor(cents / shares);
+    const remainder = cents - base * shares;
+    
+    return Array.from({ length: shares }, (_, i) => (base + (i < remainder ? 1 : 0)) / 100);
+}
+
+// Format an amount in the configured currency
+export function formatPrize(amount) {
+    return new Intl.NumberFormat(undefined, {
+        style: 'currency',
+        currency: CONFIG.PRIZES.CURRENCY
+    }).format(amount);
+}
+
+export class PrizePool {
+    // prizes: { [patternId]: amount }; a stage's own amount takes precedence
+    // tiePolicy: CONFIG.PRIZES.TIE_POLICIES value
+    constructor({ prizes = {}, tiePolicy = CONFIG.PRIZES.DEFAULT_TIE_POLICY, ballCount = CONFIG.BINGO_NUMBERS } = {}) {
+        this.prizes = prizes;
+        this.tiePolicy = tiePolicy;
+        this.ballCount = ballCount;
+    }
+    
+    // Prize for a pattern, or for the stage it is played in
+    // Throws when neither has an amount, rather than paying nothing
+    getPool(pattern, stage = null) {
+        if (stage && typeof stage.amount === 'number') {
+            return stage.amount;
+        }
+        if (typeof this.prizes[pattern] !== 'number') {
+            throw new Error(`No prize amount for pattern: ${pattern}`);
+        }
+        return this.prizes[pattern];
+    }
+    
+    // Share a pattern's prize between the winners of one call
+    // owners: { [cardNumber]: playerId } (unowned cards count as their own player)
+    // seed: tiebreaker draws are derived from it so they can be verified later
+    settle({ pattern, patternName, stage = null, sequence, winners, owners = {}, seed = '' }) {
+        const pool = this.getPool(pattern, stage);
+        const cardNumbers = winners.map(winner => winner.cardNumber);
+        let shares;
+        
+        switch (this.tiePolicy) {
+            case CONFIG.PRIZES.TIE_POLICIES.SPLIT_PER_CARD:
+                shares = this.splitBetween(pool, cardNumbers.map(cardNumber => [cardNumber]), owners);
+                break;
+            
+            case CONFIG.PRIZES.TIE_POLICIES.TIEBREAKER:
+                shares = this.drawTiebreaker(pool, cardNumbers, owners, `${seed}:tiebreak:${pattern}:${sequence}`);
+                break;
+            
+            default: {
+                // One share per player, however many winning cards they hold
+                const byPlayer = new Map();
+                cardNumbers.forEach(cardNumber => {
+                    const player = owners[cardNumber] ?? `card_${cardNumber}`;
+                    byPlayer.set(player, [...(byPlayer.get(player) || []), cardNumber]);
+                });
+                shares = this.splitBetween(pool, Array.from(byPlayer.values()), owners);
+            }
+        }
+        
+        return {
+            pattern,
+            patternName,
+            stage: stage ? stage.index : null,
+            prize: stage ? stage.prize : patternName,
+            sequence,
+            pool,
+            policy: cardNumbers.length > 1 ? this.tiePolicy : 'sole_winner',
+            shares
+        };
+    }
+    
+    // Equal shares, one per group of cards
+    splitBetween(pool, cardGroups, owners) {
+        const amounts = splitAmount(pool, cardGroups.length);
+        
+        return cardGroups.map((cards, i) => ({
+            player: owners[cards[0]] ?? null,
+            cardNumbers: cards,
+            amount: amounts[i]
+        }));
+    }
+    
+    // Every tied card draws a ball; the highest ball takes the whole prize
+    drawTiebreaker(pool, cardNumbers, owners, seed) {
+        if (cardNumbers.length === 1) {
+            return this.splitBetween(pool, [cardNumbers], owners);
+        }
+        
+        const balls = shuffle(createBallSet(this.ballCount), createSeededRandom(seed));
+        const highest = Math.max(...balls.slice(0, cardNumbers.length));
+        
+        return cardNumbers.map((cardNumber, i) => ({
+            player: owners[cardNumber] ?? null,
+            cardNumbers: [cardNumber],
+            tiebreakBall: balls[i],
+            amount: balls[i] === highest ? pool : 0
+        }));
+    }
+}
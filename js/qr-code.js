@@ -0,0 +1,382 @@
+// QR Code - Minimal QR encoder (byte mode, versions 1-10) for printed card links
+
+// Error correction levels: format bits and block layout per version
+// Each layout entry: [ecc codewords per block, [blocks, data codewords per block], ...]
+const ERROR_CORRECTION = {
+    L: {
+        formatBits: 1,
+        blocks: [
+            null,
+            [7, [1, 19]],
+            [10, [1, 34]],
+            [15, [1, 55]],
+            [20, [1, 80]],
+            [26, [1, 108]],
+            [18, [2, 68]],
+            [20, [2, 78]],
+            [24, [2, 97]],
+            [30, [2, 116]],
+            [18, [2, 68], [2, 69]]
+        ]
+    },
+    M: {
+        formatBits: 0,
+        blocks: [
+            null,
+            [10, [1, 16]],
+            [16, [1, 28]],
+            [26, [1, 44]],
+            [18, [2, 32]],
+            [24, [2, 43]],
+            [16, [4, 27]],
+            [18, [4, 31]],
+            [22, [2, 38], [2, 39]],
+            [22, [3, 36], [2, 37]],
+            [26, [4, 43], [1, 44]]
+        ]
+    }
+};
+
+// Alignment pattern centres per version
+const ALIGNMENT_POSITIONS = [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+const MAX_VERSION = 10;
+
+// Data mask conditions; a module is flipped when its condition holds
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// Multiply in GF(256) with the QR polynomial 0x11D
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+// Reed-Solomon generator polynomial of a degree
+function rsDivisor(degree) {
+    const result = Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < degree) {
+                result[j] ^= result[j + 1];
+            }
+        }
+        root = gfMultiply(root, 0x02);
+    }
+
+    return result;
+}
+
+// Error correction codewords for a data block
+function rsRemainder(data, divisor) {
+    const result = Array(divisor.length).fill(0);
+
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    });
+
+    return result;
+}
+
+// Data codewords a version holds at a level
+function dataCapacity(level, version) {
+    const [, ...groups] = ERROR_CORRECTION[level].blocks[version];
+    return groups.reduce((sum, [blocks, size]) => sum + blocks * size, 0);
+}
+
+// Pack the text into data codewords (mode, length, bytes, terminator and padding)
+function encodeData(bytes, capacity, version) {
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+
+    push(0b0100, 4); // Byte mode
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xEC; codewords.length < capacity; pad ^= 0xEC ^ 0x11) {
+        codewords.push(pad);
+    }
+
+    return codewords;
+}
+
+// Split data into blocks, add error correction and interleave
+function addErrorCorrection(data, level, version) {
+    const [eccLength, ...groups] = ERROR_CORRECTION[level].blocks[version];
+    const divisor = rsDivisor(eccLength);
+    const dataBlocks = [];
+    const eccBlocks = [];
+    let offset = 0;
+
+    groups.forEach(([blocks, size]) => {
+        for (let i = 0; i < blocks; i++) {
+            const block = data.slice(offset, offset + size);
+            offset += size;
+            dataBlocks.push(block);
+            eccBlocks.push(rsRemainder(block, divisor));
+        }
+    });
+
+    const result = [];
+    const longest = Math.max(...dataBlocks.map(block => block.length));
+    for (let i = 0; i < longest; i++) {
+        dataBlocks.forEach(block => {
+            if (i < block.length) result.push(block[i]);
+        });
+    }
+    for (let i = 0; i < eccLength; i++) {
+        eccBlocks.forEach(block => result.push(block[i]));
+    }
+
+    return result;
+}
+
+// Module grid with the function patterns (finders, timing, alignment) drawn in
+function createGrid(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => Array(size).fill(false));
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                set(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    });
+
+    // Alignment patterns, except where they would overlap a finder
+    const positions = ALIGNMENT_POSITIONS[version];
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => positions.forEach((cx, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }));
+
+    // Reserve the format areas (drawn once the mask is chosen) and the dark module
+    for (let i = 0; i < 9; i++) {
+        reserved[8][i] = reserved[i][8] = true;
+    }
+    for (let i = 0; i < 8; i++) {
+        reserved[8][size - 1 - i] = reserved[size - 1 - i][8] = true;
+    }
+    set(8, size - 8, true);
+
+    // Version information (version 7 and up)
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+
+    return { size, modules, reserved };
+}
+
+// Place codeword bits in the zigzag order, skipping function modules
+function placeCodewords({ size, modules, reserved }, codewords) {
+    let bit = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5; // Skip the vertical timing pattern
+        const upward = ((right + 1) & 2) === 0;
+
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (reserved[y][x] || bit >= codewords.length * 8) continue;
+
+                modules[y][x] = ((codewords[bit >>> 3] >>> (7 - (bit & 7))) & 1) === 1;
+                bit++;
+            }
+        }
+    }
+}
+
+// Copy of the grid with a mask applied and the matching format bits drawn
+function applyMask({ size, modules, reserved }, level, mask) {
+    const result = modules.map((row, y) => row.map((dark, x) =>
+        reserved[y][x] ? dark : dark !== MASKS[mask](x, y)
+    ));
+
+    const data = (ERROR_CORRECTION[level].formatBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bitAt = i => ((bits >>> i) & 1) === 1;
+
+    // Around the top-left finder
+    for (let i = 0; i <= 5; i++) result[i][8] = bitAt(i);
+    result[7][8] = bitAt(6);
+    result[8][8] = bitAt(7);
+    result[8][7] = bitAt(8);
+    for (let i = 9; i < 15; i++) result[8][14 - i] = bitAt(i);
+
+    // Split between the other two finders
+    for (let i = 0; i < 8; i++) result[8][size - 1 - i] = bitAt(i);
+    for (let i = 8; i < 15; i++) result[size - 15 + i][8] = bitAt(i);
+
+    return result;
+}
+
+// Penalty score used to pick the most readable mask
+function penalty(modules) {
+    const size = modules.length;
+    let score = 0;
+    let dark = 0;
+
+    const scoreLine = line => {
+        // Runs of five or more same-colour modules
+        let run = 1;
+        for (let i = 1; i <= line.length; i++) {
+            if (i < line.length && line[i] === line[i - 1]) {
+                run++;
+                continue;
+            }
+            if (run >= 5) score += run - 2;
+            run = 1;
+        }
+
+        // Finder-like 1:1:3:1:1 patterns with four light modules on one side
+        const text = line.map(module => (module ? '1' : '0')).join('');
+        for (let i = text.indexOf('1011101'); i !== -1; i = text.indexOf('1011101', i + 1)) {
+            const before = text.slice(Math.max(0, i - 4), i);
+            const after = text.slice(i + 7, i + 11);
+            if (before === '0000' || after === '0000') score += 40;
+        }
+    };
+
+    for (let y = 0; y < size; y++) {
+        scoreLine(modules[y]);
+        scoreLine(modules.map(row => row[y]));
+
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+
+            // 2x2 blocks of one colour
+            if (x < size - 1 && y < size - 1) {
+                const colour = modules[y][x];
+                if (modules[y][x + 1] === colour && modules[y + 1][x] === colour && modules[y + 1][x + 1] === colour) {
+                    score += 3;
+                }
+            }
+        }
+    }
+
+    // Balance of dark and light modules
+    score += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+
+    return score;
+}
+
+// Encode text as a QR code
+// Returns the module grid: rows of booleans (true = dark)
+export function encodeQR(text, { errorCorrection = 'M' } = {}) {
+    const level = ERROR_CORRECTION[errorCorrection] ? errorCorrection : 'M';
+    const bytes = Array.from(new TextEncoder().encode(text));
+
+    let version = 1;
+    while (version <= MAX_VERSION &&
+           4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCapacity(level, version) * 8) {
+        version++;
+    }
+    if (version > MAX_VERSION) {
+        throw new Error(`Text is too long for a QR code (${bytes.length} bytes)`);
+    }
+
+    const data = encodeData(bytes, dataCapacity(level, version), version);
+    const grid = createGrid(version);
+    placeCodewords(grid, addErrorCorrection(data, level, version));
+
+    let best = null;
+    let bestScore = Infinity;
+    MASKS.forEach((_, mask) => {
+        const candidate = applyMask(grid, level, mask);
+        const score = penalty(candidate);
+        if (score < bestScore) {
+            best = candidate;
+            bestScore = score;
+        }
+    });
+
+    return best;
+}
+
+// SVG markup for a QR code; border is the quiet zone in modules
+export function createQRCodeSVG(text, { border = 4, errorCorrection = 'M' } = {}) {
+    const modules = encodeQR(text, { errorCorrection });
+    const size = modules.length + border * 2;
+    let path = '';
+
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (dark) path += `M${x + border},${y + border}h1v1h-1z`;
+    }));
+
+    return `<svg class="qr-code" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">` +
+           `<rect width="${size}" height="${size}" fill="#fff"/>` +
+           `<path d="${path}" fill="#000"/>` +
+           '</svg>';
+}
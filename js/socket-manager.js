@@ -8,6 +8,8 @@ export class SocketManager {
         this.maxReconnectAttempts = CONFIG.WS_MAX_RETRIES;
         this.reconnectDelay = CONFIG.WS_RECONNECT_DELAY;
         this.isConnected = false;
+        this.connectPromise = null;
+        this.reconnectTimer = null;
         this.eventListeners = new Map();
         this.pendingMessages = [];
     }
@@ -19,7 +21,15 @@ export class SocketManager {
             return;
         }
         
-        return new Promise((resolve, reject) => {
+        // Share an attempt already under way instead of opening a second socket
+        if (this.connectPromise) {
+            return this.connectPromise;
+        }
+        
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        
+        this.connectPromise = new Promise((resolve, reject) => {
             try {
                 this.socket = new WebSocket(CONFIG.WS_URL);
                 
@@ -67,11 +77,17 @@ export class SocketManager {
                 console.error('Failed to create WebSocket connection:', error);
                 reject(error);
             }
+        }).finally(() => {
+            this.connectPromise = null;
         });
+        return this.connectPromise;
     }
     
     // Disconnect from WebSocket server
     disconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        
         if (this.socket) {
             this.socket.close(1000, 'User initiated disconnect');
             this.socket = null;
@@ -154,6 +170,18 @@ export class SocketManager {
             case 'bingo_called':
                 this.handleBingoCalled(data);
                 break;
+                
+            case 'card_taken':
+                this.handleCardTaken(data);
+                break;
+                
+            case 'card_released':
+                this.handleCardReleased(data);
+                break;
+                
+            case 'cards_snapshot':
+                this.handleCardsSnapshot(data);
+                break;
         }
     }
     
@@ -208,8 +236,39 @@ export class SocketManager {
         this.emit('ui:bingo_called', { player, cardNumber, pattern });
     }
     
+    // Card numbers of a card event ({ cardNumber } or { cardNumbers })
+    getEventCards(data) {
+        return data.cardNumbers || (data.cardNumber !== undefined ? [data.cardNumber] : []);
+    }
+    
+    // Handle card taken event (another player confirmed cards)
+    handleCardTaken(data) {
+        const { variant, playerId } = data;
+        
+        // Update UI
+        this.emit('ui:card_taken', { cardNumbers: this.getEventCards(data), variant, playerId });
+    }
+    
+    // Handle card released event (cards went back on sale)
+    handleCardReleased(data) {
+        const { variant } = data;
+        
+        // Update UI
+        this.emit('ui:card_released', { cardNumbers: this.getEventCards(data), variant });
+    }
+    
+    // Handle cards snapshot event (every available card, sent on subscribe)
+    handleCardsSnapshot(data) {
+        const { availableCards, variant } = data;
+        
+        // Update UI
+        this.emit('ui:cards_snapshot', { availableCards: availableCards || [], variant });
+    }
+    
     // Attempt to reconnect
     attemptReconnect() {
+        if (this.reconnectTimer) return;
+        
         if (this.reconnectAttempts >= this.maxReconnectAttempts) {
             console.log('Max reconnection attempts reached');
             this.emit('reconnection_failed');
@@ -221,7 +280,8 @@ export class SocketManager {
         
         console.log(`Attempting reconnection in ${delay}ms (attempt ${this.reconnectAttempts})`);
         
-        setTimeout(() => {
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
             if (!this.isConnected) {
                 this.connect().catch(error => {
                     console.error('Reconnection attempt failed:', error);
@@ -252,7 +312,8 @@ export class SocketManager {
     // Emit event to listeners
     emit(event, data) {
         if (this.eventListeners.has(event)) {
-            this.eventListeners.get(event).forEach(callback => {
+            // Copy so listeners can remove themselves while being called
+            [...this.eventListeners.get(event)].forEach(callback => {
                 try {
                     callback(data);
                 } catch (error) {
@@ -270,17 +331,57 @@ export class SocketManager {
         });
     }
     
+    // Ask for card availability events of a variant; the server answers with a cards_snapshot
+    subscribeCards(variant) {
+        this.send('subscribe_cards', { variant });
+    }
+    
     // Leave a game room
     leaveGame(gameId) {
         this.send('leave_game', { gameId });
     }
     
-    // Call bingo
-    callBingo(gameId, cardNumber, pattern) {
+    // Report game state changes to the server
+    observeGameState(stateMachine) {
+        stateMachine.on('transition', ({ from, to, detail }) => {
+            this.send('game_state_changed', {
+                gameId: detail.gameId,
+                from,
+                to
+            });
+        });
+    }
+    
+    // Call bingo on a ball sequence so the server can reject late claims
+    // Resolves with the server's claim_result, or null if none arrives in time
+    callBingo(gameId, cardNumber, pattern, sequence) {
         this.send('call_bingo', {
             gameId,
             cardNumber,
-            pattern
+            pattern,
+            sequence,
+            claimedAt: Date.now()
+        });
+        
+        if (!this.isConnected) {
+            return Promise.resolve(null);
+        }
+        
+        return new Promise(resolve => {
+            const timeout = setTimeout(() => {
+                this.off('claim_result', onResult);
+                resolve(null);
+            }, CONFIG.DAUB.CLAIM_CHECK_TIMEOUT);
+            
+            const onResult = (result) => {
+                if (result.cardNumber !== cardNumber || result.sequence !== sequence) return;
+                
+                clearTimeout(timeout);
+                this.off('claim_result', onResult);
+                resolve(result);
+            };
+            
+            this.on('claim_result', onResult);
         });
     }
     
@@ -1,5 +1,7 @@
 // UI Manager - Handles all UI updates and interactions
-import { CONFIG } from './config.js';
+import { CONFIG, GAME_STATES } from './config.js';
+import { getVariant, isNumberCell } from './bingo-variants.js';
+import { formatPrize } from './prize-pool.js';
 
 export class UIManager {
     constructor() {
@@ -21,6 +23,7 @@ export class UIManager {
             cardsGrid: document.getElementById('cardsGrid'),
             cardContent: document.getElementById('cardContent'),
             selectedCount: document.getElementById('selectedCount'),
+            coverageScore: document.getElementById('coverageScore'),
             totalCards: document.getElementById('totalCards'),
             activeCards: document.getElementById('activeCards'),
             numbersCalled: document.getElementById('numbersCalled'),
@@ -31,17 +34,29 @@ export class UIManager {
             cardPreviewModal: document.getElementById('cardPreviewModal'),
             previewCardNumber: document.getElementById('previewCardNumber'),
             cardPreviewContent: document.getElementById('cardPreviewContent'),
+            compareModal: document.getElementById('compareModal'),
+            compareContent: document.getElementById('compareContent'),
+            openCompare: document.getElementById('openCompare'),
+            compareCount: document.getElementById('compareCount'),
             userInfo: document.getElementById('userInfo')
         };
     }
     
     // Generate card grid (1-400)
-    generateCardGrid(totalCards, availableCards, onCardClick, onCardPreview) {
+    // onCardCompare: optional, called instead of onCardClick on shift-click
+    // reservedCards: cards other players are holding (Map or Set of card numbers)
+    generateCardGrid(totalCards, availableCards, onCardClick, onCardPreview, onCardCompare = null, reservedCards = new Set()) {
         this.elements.cardsGrid.innerHTML = '';
         
         for (let i = 1; i <= totalCards; i++) {
-            const cardElement = this.createCardElement(i, availableCards.has(i));
-            cardElement.addEventListener('click', () => onCardClick(i));
+            const cardElement = this.createCardElement(i, availableCards.has(i), reservedCards.has(i));
+            cardElement.addEventListener('click', (e) => {
+                if (e.shiftKey && onCardCompare) {
+                    onCardCompare(i);
+                } else {
+                    onCardClick(i);
+                }
+            });
             cardElement.addEventListener('contextmenu', (e) => {
                 e.preventDefault();
                 onCardPreview(i);
@@ -52,19 +67,81 @@ export class UIManager {
     }
     
     // Create individual card element
-    createCardElement(cardNumber, isAvailable) {
+    createCardElement(cardNumber, isAvailable, isReserved = false) {
         const cardDiv = document.createElement('div');
         cardDiv.className = `card-number ${isAvailable ? 'available' : 'unavailable'}`;
         cardDiv.textContent = cardNumber;
         cardDiv.dataset.cardNumber = cardNumber;
-        cardDiv.title = `Card ${cardNumber} - ${isAvailable ? 'Click to select' : 'Unavailable'}`;
+        this.setCardReserved(cardDiv, isReserved);
+        
+        return cardDiv;
+    }
+    
+    // Mark a grid card as held by another player, and update its tooltip
+    setCardReserved(cardDiv, isReserved) {
+        cardDiv.classList.toggle('reserved', isReserved);
+        this.updateCardTitle(cardDiv);
+    }
+    
+    // Tooltip of a grid card for its current state
+    updateCardTitle(cardDiv) {
+        const cardNumber = cardDiv.dataset.cardNumber;
+        const isAvailable = cardDiv.classList.contains('available');
+        
+        if (cardDiv.classList.contains('reserved')) {
+            cardDiv.title = `Card ${cardNumber} - Reserved by another player`;
+        } else {
+            cardDiv.title = `Card ${cardNumber} - ${isAvailable ? 'Click to select' : 'Unavailable'}`;
+        }
         
         // Add tooltip for preview
         if (isAvailable) {
-            cardDiv.title += '\nRight-click to preview';
+            cardDiv.title += '\nRight-click to preview\nShift-click to compare';
         }
+    }
+    
+    // Update a grid card when it is taken or released
+    setCardAvailability(cardNumber, isAvailable) {
+        const card = document.querySelector(`.card-number[data-card-number="${cardNumber}"]`);
+        if (!card) return;
         
-        return cardDiv;
+        card.classList.toggle('available', isAvailable);
+        card.classList.toggle('unavailable', !isAvailable);
+        if (!isAvailable) {
+            card.classList.remove('reserved'); // Taken outright
+        }
+        this.updateCardTitle(card);
+    }
+    
+    // Show which cards other players are holding
+    updateReservedCards(reservedCards) {
+        document.querySelectorAll('.card-number').forEach(card => {
+            const isReserved = reservedCards.has(parseInt(card.dataset.cardNumber));
+            if (isReserved !== card.classList.contains('reserved')) {
+                this.setCardReserved(card, isReserved);
+            }
+        });
+    }
+    
+    // Show how long this player's holds last on the selected cards
+    // reservations: Map of cardNumber -> expiresAt
+    updateReservationCountdowns(reservations, now = Date.now()) {
+        document.querySelectorAll('.card-number[data-countdown]').forEach(card => {
+            if (!reservations.has(parseInt(card.dataset.cardNumber))) {
+                delete card.dataset.countdown;
+                card.classList.remove('expiring');
+            }
+        });
+        
+        reservations.forEach((expiresAt, cardNumber) => {
+            const card = document.querySelector(`.card-number[data-card-number="${cardNumber}"]`);
+            if (!card) return;
+            
+            const remaining = Math.max(0, expiresAt - now);
+            const seconds = Math.ceil(remaining / 1000);
+            card.dataset.countdown = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+            card.classList.toggle('expiring', remaining <= CONFIG.RESERVATION.WARNING_TIME);
+        });
     }
     
     // Update card selection state
@@ -108,6 +185,19 @@ export class UIManager {
         this.elements.selectedCount.textContent = count;
     }
     
+    // Show how many distinct numbers the selected cards cover
+    updateCoverage(coverage) {
+        if (!coverage || coverage.cards === 0) {
+            this.elements.coverageScore.textContent = '';
+            this.elements.coverageScore.title = '';
+            return;
+        }
+        
+        this.elements.coverageScore.textContent =
+            `${coverage.distinct}/${coverage.ballCount} numbers (${coverage.percent}%)`;
+        this.elements.coverageScore.title = `${coverage.overlap} numbers shared between your cards`;
+    }
+    
     // Update game statistics
     updateStats(stats) {
         if (stats.totalCards !== undefined) {
@@ -135,6 +225,94 @@ export class UIManager {
         document.body.style.overflow = '';
     }
     
+    // Show which cards are waiting to be compared
+    updateCompareCards(cardNumbers) {
+        const comparing = new Set(cardNumbers);
+        
+        document.querySelectorAll('.card-number').forEach(card => {
+            card.classList.toggle('comparing', comparing.has(parseInt(card.dataset.cardNumber)));
+        });
+        
+        this.elements.compareCount.textContent = comparing.size;
+        this.elements.openCompare.disabled = comparing.size < 2;
+    }
+    
+    // Show card comparison modal
+    showCompareModal() {
+        this.elements.compareModal.style.display = 'flex';
+        this.isModalVisible = true;
+        document.body.style.overflow = 'hidden';
+    }
+    
+    // Hide card comparison modal
+    hideCompareModal() {
+        this.elements.compareModal.style.display = 'none';
+        this.isModalVisible = false;
+        document.body.style.overflow = '';
+    }
+    
+    // Check if the comparison modal is open
+    isCompareVisible() {
+        return this.elements.compareModal.style.display !== 'none';
+    }
+    
+    // Display cards side by side with shared numbers highlighted and a heatmap of every number
+    // comparison: result of CardManager.compareCards
+    displayComparison(comparison, selectedCards = new Set()) {
+        const { variant, cards, counts, coverage } = comparison;
+        const perRow = variant.ballCount % 15 === 0 ? 15 : 10;
+        
+        const cardsHtml = cards.map(cardData => {
+            const unique = cardData.numbers.filter(cell => isNumberCell(cell) && counts[cell.number] === 1).length;
+            const isSelected = selectedCards.has(cardData.cardNumber);
+            
+            return `
+                <div class="compare-card" data-card-number="${cardData.cardNumber}">
+                    <div class="card-header">
+                        <div class="card-title">Card #${cardData.cardNumber}</div>
+                        <button class="modal-close" data-action="remove" title="Remove from comparison">&times;</button>
+                    </div>
+                    ${this.createBingoCardPreview({ ...cardData, numbers: [...cardData.numbers] })}
+                    <div class="compare-card-footer">
+                        <span>${unique} unique</span>
+                        <button class="btn btn-small${isSelected ? ' selected' : ''}" data-action="select"
+                            ${cardData.isAvailable === false ? 'disabled' : ''}>
+                            ${isSelected ? 'Selected' : 'Select'}
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        let heatmapHtml = '';
+        for (let number = 1; number <= variant.ballCount; number++) {
+            const count = counts[number];
+            heatmapHtml += `<div class="heatmap-cell heat-${Math.min(count, CONFIG.MAX_COMPARE)}" ` +
+                `title="${number}: on ${count} of ${cards.length} cards">${number}</div>`;
+        }
+        
+        this.elements.compareContent.innerHTML = `
+            <div class="compare-cards">${cardsHtml}</div>
+            <div class="compare-summary">
+                <strong>${coverage.distinct}/${coverage.ballCount}</strong> numbers covered (${coverage.percent}%)
+                · <strong>${coverage.shared}</strong> on more than one card
+            </div>
+            <div class="coverage-heatmap" style="grid-template-columns: repeat(${perRow}, 1fr)">
+                ${heatmapHtml}
+            </div>
+            <div class="heatmap-legend">
+                <span class="heatmap-cell heat-0"></span> none
+                <span class="heatmap-cell heat-1"></span> one card
+                <span class="heatmap-cell heat-2"></span> shared
+            </div>
+        `;
+        
+        // Highlight numbers that appear on more than one of the cards
+        this.elements.compareContent.querySelectorAll('.compare-card .bingo-cell[data-number]').forEach(cell => {
+            cell.classList.toggle('shared', counts[parseInt(cell.dataset.number)] > 1);
+        });
+    }
+    
     // Show loading in card preview
     showCardPreviewLoading(cardNumber) {
         this.elements.previewCardNumber.textContent = cardNumber;
@@ -180,32 +358,44 @@ export class UIManager {
     }
     
     // Create BINGO card preview HTML
-    createBingoCardPreview(cardData) {
+    // highlightMask: optional boolean mask (card-sized) from a winner to highlight
+    createBingoCardPreview(cardData, highlightMask = null) {
+        const variant = getVariant(cardData.variant);
+        const columns = `grid-template-columns: repeat(${variant.columns}, 1fr)`;
+        
         // Sort numbers by row and column
         const sortedNumbers = cardData.numbers.sort((a, b) => {
             if (a.row === b.row) return a.column - b.column;
             return a.row - b.row;
         });
         
-        // Create header row (B I N G O)
-        let html = '<div class="bingo-header">';
-        ['B', 'I', 'N', 'G', 'O'].forEach(letter => {
+        // Create header row (B I N G O, or the variant's column labels)
+        let html = `<div class="bingo-header variant-${variant.id}" style="${columns}">`;
+        variant.labels.forEach(letter => {
             html += `<div class="bingo-letter">${letter}</div>`;
         });
         html += '</div>';
         
-        // Create 5x5 grid
-        html += '<div class="bingo-card">';
+        // Create rows x columns grid
+        html += `<div class="bingo-card variant-${variant.id}" style="${columns}">`;
         
-        for (let row = 0; row < 5; row++) {
-            for (let col = 0; col < 5; col++) {
+        for (let row = 0; row < variant.rows; row++) {
+            for (let col = 0; col < variant.columns; col++) {
                 const numberData = sortedNumbers.find(n => n.row === row && n.column === col);
                 
-                if (numberData) {
-                    const cellClass = numberData.isFreeSpace ? 'bingo-cell free' : 'bingo-cell';
+                if (numberData && numberData.isBlank) {
+                    html += '<div class="bingo-cell blank"></div>';
+                } else if (numberData) {
+                    let cellClass = numberData.isFreeSpace ? 'bingo-cell free' : 'bingo-cell';
+                    if (numberData.isMarked && !numberData.isFreeSpace) {
+                        cellClass += ' marked';
+                    }
+                    if (highlightMask && highlightMask[row][col]) {
+                        cellClass += ' winning';
+                    }
                     const cellContent = numberData.isFreeSpace ? 'FREE' : numberData.number;
                     
-                    html += `<div class="${cellClass}">${cellContent}</div>`;
+                    html += `<div class="${cellClass}" data-number="${cellContent}">${cellContent}</div>`;
                 }
             }
         }
@@ -220,7 +410,7 @@ export class UIManager {
         this.elements.gameBoardSection.style.display = 'block';
         
         // Load game board component
-        this.loadComponent('components/game-board.html', this.elements.gameBoardSection)
+        return this.loadComponent('components/game-board.html', this.elements.gameBoardSection)
             .then(() => {
                 // Initialize game board UI
                 this.initializeGameBoard();
@@ -239,6 +429,311 @@ export class UIManager {
         // Implementation depends on game board structure
     }
     
+    // Render the player's cards on the game board
+    // winners: patterns already won, highlighted on their cards
+    renderPlayerCards(cards, winners = []) {
+        const container = document.getElementById('playerCards');
+        if (!container) return;
+        
+        const masks = this.mergeWinningMasks(winners);
+        
+        container.innerHTML = cards.map(cardData => `
+            <div class="player-card${cardData.disqualified ? ' disqualified' : ''}" data-card-number="${cardData.cardNumber}">
+                ${this.createPlayerCardContent(cardData, masks.get(cardData.cardNumber))}
+            </div>
+        `).join('');
+    }
+    
+    // Title and grid of a player card
+    createPlayerCardContent(cardData, highlightMask = null) {
+        return `
+            <div class="card-title">Card #${cardData.cardNumber}</div>
+            ${this.createBingoCardPreview(cardData, highlightMask)}
+        `;
+    }
+    
+    // One highlight mask per card; a card can win several patterns or stages
+    // Returns Map of cardNumber -> every winning cell of that card
+    mergeWinningMasks(winners) {
+        const masks = new Map();
+        
+        winners.forEach(({ cardNumber, mask }) => {
+            const merged = masks.get(cardNumber);
+            masks.set(cardNumber, merged
+                ? merged.map((row, r) => row.map((cell, c) => cell || mask[r][c]))
+                : mask);
+        });
+        return masks;
+    }
+    
+    // Redraw a player card with every pattern it has won highlighted
+    showWinningCard(cardData, winners) {
+        const card = document.querySelector(`.player-card[data-card-number="${cardData.cardNumber}"]`);
+        if (card) {
+            const masks = this.mergeWinningMasks(winners);
+            card.innerHTML = this.createPlayerCardContent(cardData, masks.get(cardData.cardNumber));
+        }
+    }
+    
+    // Mark a number on one player card, or on every card containing it
+    markPlayerCardCell(number, cardNumber = null) {
+        const cardSelector = cardNumber === null
+            ? '.player-card'
+            : `.player-card[data-card-number="${cardNumber}"]`;
+        
+        document.querySelectorAll(`${cardSelector} .bingo-cell[data-number="${number}"]`).forEach(cell => {
+            cell.classList.add('marked');
+        });
+    }
+    
+    // Grey out a card that was forfeited by a false claim
+    setCardDisqualified(cardNumber) {
+        const card = document.querySelector(`.player-card[data-card-number="${cardNumber}"]`);
+        if (card) {
+            card.classList.add('disqualified');
+        }
+    }
+    
+    // Show the latest called number
+    updateCurrentNumber(numberData) {
+        const letter = document.getElementById('currentLetter');
+        const value = document.getElementById('currentNumberValue');
+        const count = document.getElementById('numbersCalledCount');
+        
+        if (letter) letter.textContent = numberData.letter;
+        if (value) value.textContent = numberData.number;
+        if (count) count.textContent = numberData.sequence;
+    }
+    
+    // Highlight the uncalled cells that would complete a pattern on the player's cards
+    // neededByCard: Map of card number -> numbers (GameEngine.getNeededNumbers())
+    highlightNeededNumbers(neededByCard) {
+        document.querySelectorAll('.player-card').forEach(card => {
+            const needed = new Set(neededByCard.get(parseInt(card.dataset.cardNumber)) || []);
+            
+            card.querySelectorAll('.bingo-cell[data-number]').forEach(cell => {
+                cell.classList.toggle('needed', needed.has(parseInt(cell.dataset.number)));
+            });
+        });
+    }
+    
+    // Update countdown to the next automatic call
+    updateCallCountdown(remaining) {
+        const seconds = document.getElementById('nextCallSeconds');
+        if (seconds) {
+            seconds.textContent = Math.ceil(remaining / 1000);
+        }
+    }
+    
+    // Show the end-of-game winners and what each of them is paid
+    // result: GameEngine.endGame() output; cards: the player's card data, to draw the winning cards
+    showWinnersModal(result, cards = []) {
+        const modal = document.getElementById('winnersModal');
+        const details = document.getElementById('winnerDetails');
+        if (!modal || !details) return;
+        
+        const cardsByNumber = new Map(cards.map(cardData => [cardData.cardNumber, cardData]));
+        
+        const policyLabels = {
+            [CONFIG.PRIZES.TIE_POLICIES.SPLIT_EVEN]: 'Split evenly between players',
+            [CONFIG.PRIZES.TIE_POLICIES.SPLIT_PER_CARD]: 'Split per winning card',
+            [CONFIG.PRIZES.TIE_POLICIES.TIEBREAKER]: 'Tiebreaker draw (highest ball wins)'
+        };
+        
+        if (result.payouts.length === 0) {
+            details.innerHTML = '<p class="empty-state">No winners this game</p>';
+        } else {
+            details.innerHTML = result.payouts.map(payout => `
+                <div class="winner-card">
+                    <div class="winner-prize">
+                        <strong>${payout.prize}</strong> · ${formatPrize(payout.pool)}
+                    </div>
+                    <div class="winner-call">Won on call ${payout.sequence}</div>
+                    ${policyLabels[payout.policy] ? `<div class="winner-policy">${policyLabels[payout.policy]}</div>` : ''}
+                    <ul class="winner-shares">
+                        ${payout.shares.map(share => `
+                            <li class="${share.amount > 0 ? 'paid' : 'unpaid'}">
+                                ${share.cardNumbers.map(cardNumber => `Card #${cardNumber}`).join(', ')}
+                                ${share.tiebreakBall !== undefined ? `(drew ${share.tiebreakBall})` : ''}
+                                <span class="winner-amount">${formatPrize(share.amount)}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    ${this.createWinningCards(payout, result.winners, cardsByNumber)}
+                </div>
+            `).join('');
+        }
+        
+        modal.style.display = 'flex';
+        this.isModalVisible = true;
+    }
+    
+    // Grids of a payout's winning cards with the completed pattern highlighted
+    createWinningCards(payout, winners, cardsByNumber) {
+        const cards = winners
+            .filter(winner => winner.pattern === payout.pattern && winner.sequence === payout.sequence)
+            .filter(winner => cardsByNumber.has(winner.cardNumber))
+            .map(winner => {
+                const cardData = cardsByNumber.get(winner.cardNumber);
+                return `
+                    <div class="winner-grid">
+                        ${this.createPlayerCardContent({ ...cardData, numbers: [...cardData.numbers] }, winner.mask)}
+                    </div>
+                `;
+            });
+        
+        return cards.length > 0 ? `<div class="winner-grids">${cards.join('')}</div>` : '';
+    }
+    
+    // Hide the winners modal
+    hideWinnersModal() {
+        const modal = document.getElementById('winnersModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+        this.isModalVisible = false;
+    }
+    
+    // Show the prize stage being played (hidden for single-stage games)
+    updateStage(stage, total) {
+        const banner = document.getElementById('currentStage');
+        if (!banner) return;
+        
+        if (!stage) {
+            banner.style.display = 'none';
+            return;
+        }
+        
+        document.getElementById('stageNumber').textContent = stage.index + 1;
+        document.getElementById('stageTotal').textContent = total;
+        document.getElementById('stagePrize').textContent = stage.prize;
+        document.getElementById('stagePattern').textContent = stage.patternName;
+        banner.style.display = 'block';
+    }
+    
+    // Show whether a bingo claim on the latest ball can still be made
+    setClaimWindowOpen(isOpen) {
+        const callBingo = document.getElementById('callBingo');
+        if (callBingo) {
+            callBingo.classList.toggle('claim-open', isOpen);
+            callBingo.classList.toggle('claim-closed', !isOpen);
+        }
+    }
+    
+    // Follow game state changes from the game state machine
+    observeGameState(stateMachine) {
+        stateMachine.on('transition', ({ to }) => {
+            document.body.dataset.gameState = to;
+            this.setPauseState(to === GAME_STATES.PAUSED);
+        });
+    }
+    
+    // Reflect paused state on the pause button and countdown
+    setPauseState(isPaused) {
+        const pauseButton = document.getElementById('pauseGame');
+        const countdown = document.getElementById('nextCallCountdown');
+        
+        if (pauseButton) {
+            pauseButton.innerHTML = isPaused
+                ? '<span class="btn-icon">▶️</span> Resume'
+                : '<span class="btn-icon">⏸️</span> Pause';
+        }
+        if (countdown) {
+            countdown.classList.toggle('paused', isPaused);
+        }
+    }
+    
+    // Update game clock (mm:ss)
+    updateGameTime(elapsed) {
+        const gameTime = document.getElementById('gameTime');
+        if (!gameTime) return;
+        
+        const totalSeconds = Math.floor(elapsed / 1000);
+        const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, '0');
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        gameTime.textContent = `${minutes}:${seconds}`;
+    }
+    
+    // Show the jackpot and how many calls are left to win it
+    updateJackpot(jackpot, callsMade) {
+        const card = document.getElementById('jackpotStat');
+        if (!card) return;
+        
+        if (!jackpot) {
+            card.style.display = 'none';
+            return;
+        }
+        
+        card.style.display = '';
+        document.getElementById('jackpotAmount').textContent = formatPrize(jackpot.amount);
+        
+        const callsLeft = jackpot.maxCalls - callsMade;
+        let status;
+        if (jackpot.won) {
+            status = `Won in ${jackpot.sequence} calls`;
+        } else if (callsLeft >= 0) {
+            status = `${jackpot.pattern} in ${jackpot.maxCalls} calls · ${callsLeft} left`;
+        } else {
+            status = 'Rolls over to next game';
+        }
+        
+        document.getElementById('jackpotStatus').textContent = status;
+        card.classList.toggle('missed', !jackpot.won && callsLeft < 0);
+    }
+    
+    // Show replay controls above the game board
+    async showReplayControls(total) {
+        let container = document.getElementById('replayControls');
+        
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'replayControls';
+            this.elements.gameBoardSection.prepend(container);
+        }
+        
+        await this.loadComponent('components/replay-controls.html', container);
+        document.getElementById('replaySeek').max = total;
+        this.updateReplayPosition(0, total);
+    }
+    
+    // Remove replay controls
+    hideReplayControls() {
+        const container = document.getElementById('replayControls');
+        if (container) {
+            container.remove();
+        }
+    }
+    
+    // Update replay position display and seek bar
+    updateReplayPosition(position, total) {
+        const label = document.getElementById('replayPosition');
+        const seek = document.getElementById('replaySeek');
+        
+        if (label) label.textContent = `${position} / ${total}`;
+        if (seek) seek.value = position;
+    }
+    
+    // Reflect replay playback state on the play button
+    setReplayPlaying(isPlaying) {
+        const playButton = document.getElementById('replayPlay');
+        if (playButton) {
+            playButton.innerHTML = isPlaying
+                ? '<span class="btn-icon">⏸️</span> Pause'
+                : '<span class="btn-icon">▶️</span> Play';
+        }
+    }
+    
+    // Show whether the replay agrees with the original winners
+    showReplayVerdict({ position, matches, discrepancies }) {
+        const verdict = document.getElementById('replayVerdict');
+        if (!verdict) return;
+        
+        verdict.className = `replay-verdict ${matches ? 'match' : 'mismatch'}`;
+        verdict.innerHTML = matches
+            ? `✅ Winners match the original result after ${position} calls`
+            : discrepancies.map(d => `⚠️ Card #${d.cardNumber} ${d.pattern}: ${d.type.replace(/_/g, ' ')}`).join('<br>');
+    }
+    
     // Update user info from Telegram
     updateUserInfo(userData) {
         if (!userData || !this.elements.userInfo) return;
@@ -278,6 +773,18 @@ export class UIManager {
         this.showToast(message, 'error');
     }
     
+    // Save text as a file download
+    downloadFile(fileName, text, type = 'text/plain') {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+    
     // Show loading state
     showLoading(message = 'Loading...') {
         const loadingDiv = document.createElement('div');
@@ -300,18 +807,22 @@ export class UIManager {
         }
     }
     
-    // Filter cards based on search term
-    filterCards(searchTerm) {
+    // Show only the matching cards (null shows every card)
+    filterCards(matches) {
         const cards = document.querySelectorAll('.card-number');
-        const term = searchTerm.toLowerCase();
         
         cards.forEach(card => {
-            const cardNumber = card.dataset.cardNumber;
-            const isVisible = term === '' || cardNumber.includes(term);
+            const isVisible = !matches || matches.has(Number(card.dataset.cardNumber));
             card.style.display = isVisible ? '' : 'none';
         });
     }
     
+    // Flag a search query that could not be understood
+    setSearchError(message) {
+        this.elements.cardSearch.classList.toggle('invalid', Boolean(message));
+        this.elements.cardSearch.title = message || '';
+    }
+    
     // Set theme
     setTheme(theme) {
         document.documentElement.setAttribute('data-theme', theme);
@@ -378,22 +889,6 @@ export class UIManager {
     
     // Setup event listeners
     setupEventListeners() {
-        // Debounced search
-        let searchTimeout;
-        this.elements.cardSearch.addEventListener('input', (e) => {
-            clearTimeout(searchTimeout);
-            searchTimeout = setTimeout(() => {
-                this.filterCards(e.target.value);
-            }, CONFIG.DEBOUNCE_DELAY);
-        });
-        
-        // Clear search button
-        this.elements.clearSearch.addEventListener('click', () => {
-            this.elements.cardSearch.value = '';
-            this.filterCards('');
-            this.elements.cardSearch.focus();
-        });
-        
         // Modal close on overlay click
         this.elements.cardPreviewModal.addEventListener('click', (e) => {
             if (e.target === this.elements.cardPreviewModal) {
@@ -401,10 +896,17 @@ export class UIManager {
             }
         });
         
+        this.elements.compareModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.compareModal) {
+                this.hideCompareModal();
+            }
+        });
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.isModalVisible) {
                 this.hideCardPreviewModal();
+                this.hideCompareModal();
             }
         });
     }